@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+/* eslint-disable global-require */
+const Promise = require('bluebird');
+const _ = require('lodash');
+
+const USAGE = `Usage: node cli.js <ticker|cmc|history|all> [options]
+
+Commands:
+  ticker    Generate v1/ticker.json, v1/ticker-state.json, the metrics and the log
+  cmc       Generate the cmc/v1/* and coingecko/v1/* files
+  history   Generate the v1/history/* candles
+  all       Run ticker, cmc and history in turn
+
+Options:
+  -o, --output <dir>      Directory the files are written to (default ./output)
+  -n, --network <name>    Stellar network: public, testnet or custom (default STELLAR_NETWORK or public)
+      --horizon <url>     Horizon server, or a comma separated list of servers
+      --asset <asset>     Only the markets of an asset: code, code-issuer or code-domain
+      --pair <slug>       Only one pair, e.g. XLM-native/SLT-stellarterm.com
+      --pretty            Indent the JSON files
+      --dry-run           Generate the files without writing anything, list them instead
+  -v, --verbose           Print the full ticker log
+  -h, --help              Show this help
+
+Exit codes: 0 ticker generated, 1 generation failed, 2 ticker held because of anomalies,
+  3 ticker refused by schema validation, 64 bad usage`;
+
+const COMMANDS = ['ticker', 'cmc', 'history', 'all'];
+// The exit code of a run comes from the tickerState of ticker-state.json
+const EXIT_CODES = {
+    'Ticker successfully generated': 0,
+    'Ticker generation failed': 1,
+    'Ticker held because of anomalies': 2,
+    'Ticker refused by schema validation': 3,
+};
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 64;
+
+const FLAGS = {
+    '-o': 'output',
+    '--output': 'output',
+    '-n': 'network',
+    '--network': 'network',
+    '--horizon': 'horizon',
+    '--asset': 'asset',
+    '--pair': 'pair',
+};
+const SWITCHES = {
+    '--pretty': 'pretty',
+    '--dry-run': 'dryRun',
+    '-v': 'verbose',
+    '--verbose': 'verbose',
+    '-h': 'help',
+    '--help': 'help',
+};
+
+class UsageError extends Error {}
+
+// Accepts "--flag value" and "--flag=value"
+function parseArgs(argv) {
+    const options = { output: './output', pretty: false, dryRun: false, verbose: false, help: false };
+    const commands = [];
+    for (let i = 0; i < argv.length; i++) {
+        const [arg, inlineValue] = argv[i].split(/=(.*)/);
+        if (FLAGS[arg]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (!value) {
+                throw new UsageError(`${arg} needs a value`);
+            }
+            options[FLAGS[arg]] = value;
+        } else if (SWITCHES[arg] && inlineValue === undefined) {
+            options[SWITCHES[arg]] = true;
+        } else if (arg.startsWith('-')) {
+            throw new UsageError(`Unknown option ${arg}`);
+        } else {
+            commands.push(arg);
+        }
+    }
+    if (options.help) {
+        return options;
+    }
+    if (commands.length !== 1 || COMMANDS.indexOf(commands[0]) === -1) {
+        throw new UsageError(`Expected one command of ${COMMANDS.join(', ')}`);
+    }
+    if (options.asset && options.pair) {
+        throw new UsageError('--asset and --pair cannot be used together');
+    }
+    options.command = commands[0];
+    return options;
+}
+
+// The storage of a run: the JSON files are indented with --pretty, nothing is written with --dry-run
+// and the files are listed instead
+class OutputStorage {
+    constructor(storage, options) {
+        this.storage = storage;
+        this.options = options;
+        this.written = 0;
+    }
+
+    get(key) {
+        return this.storage.get(key);
+    }
+
+    list(prefix) {
+        return this.storage.list(prefix);
+    }
+
+    put(key, body, fileOptions) {
+        return this.write(key, body, contents => this.storage.put(key, contents, fileOptions).then(() => true))
+            .then(() => undefined);
+    }
+
+    putIfAbsent(key, body, fileOptions) {
+        return this.write(key, body, contents => this.storage.putIfAbsent(key, contents, fileOptions));
+    }
+
+    // Resolves with whether the file was written
+    write(key, body, store) {
+        const contents = this.options.pretty && key.endsWith('.json') ? JSON.stringify(JSON.parse(body), null, 2) : body;
+        if (this.options.dryRun) {
+            console.log(`${key} (${Buffer.byteLength(contents)} bytes)`);
+            return Promise.resolve(true);
+        }
+        return store(contents).then((written) => {
+            this.written += written ? 1 : 0;
+            return written;
+        });
+    }
+
+    delete(key) {
+        return this.options.dryRun ? Promise.resolve() : this.storage.delete(key);
+    }
+}
+
+function run(options) {
+    // The network and the Horizon servers are read when the generators are required
+    if (options.network) {
+        process.env.STELLAR_NETWORK = options.network;
+    }
+    if (options.horizon) {
+        process.env.HORIZON_SERVERS = options.horizon;
+    }
+    const { createStorage } = require('./functions/storage');
+    const {
+        publishTickerFiles, publishCmcFiles, publishHistory, updateLog, TICKER_STATE_FILE,
+    } = require('./functions/publish');
+
+    const storage = new OutputStorage(createStorage('local', { root: options.output }), options);
+    const filter = options.asset || options.pair ? _.pick(options, ['asset', 'pair']) : null;
+
+    const written = (name, before) => {
+        if (!options.dryRun) {
+            console.log(`${name}: ${storage.written - before} files written to ${options.output}`);
+        }
+    };
+
+    // Like a published run, without notifications and the ticker archive
+    const ticker = () => {
+        const before = storage.written;
+        return publishTickerFiles(storage, { filter, ignoreLog: !options.verbose })
+            .then(({ files, log, logger }) => updateLog(storage, logger).then(() => {
+                if (options.verbose || log.failed) {
+                    console.error(log.text);
+                }
+                written('ticker', before);
+                const { tickerState } = JSON.parse(files[TICKER_STATE_FILE]);
+                console.log(`ticker: ${tickerState}`);
+                return EXIT_CODES[tickerState] === undefined ? EXIT_FAILED : EXIT_CODES[tickerState];
+            }));
+    };
+    // Files refused by their schema aren't written, the CMC and history steps then fail
+    const refusedStep = (name, publish) => () => {
+        const before = storage.written;
+        return publish(storage, { filter })
+            .then((rejected) => {
+                written(name, before);
+                return rejected.length ? EXIT_FAILED : 0;
+            });
+    };
+    const cmc = refusedStep('cmc', publishCmcFiles);
+    const history = refusedStep('history', publishHistory);
+
+    const steps = { ticker, cmc, history, all: [ticker, cmc, history] }[options.command];
+    // Every step of all runs, the first non zero exit code wins
+    return Promise.reduce(_.castArray(steps), (exitCode, step) => Promise.try(step)
+        .catch((e) => {
+            console.error(e && e.stack ? e.stack : e);
+            return EXIT_FAILED;
+        })
+        .then(stepCode => exitCode || stepCode), 0);
+}
+
+function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (e) {
+        if (!(e instanceof UsageError)) {
+            throw e;
+        }
+        console.error(`${e.message}\n\n${USAGE}`);
+        process.exitCode = EXIT_USAGE;
+        return;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    // Errors thrown before the run starts come from the configuration, e.g. an unknown network
+    Promise.try(() => run(options))
+        .catch((e) => {
+            console.error(e.message);
+            return EXIT_USAGE;
+        })
+        .then((exitCode) => {
+            process.exitCode = exitCode;
+        });
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { parseArgs, run };
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const _ = require('lodash');
+
+// Weights and caps of the activity score. They can be overridden with a JSON file in the same shape,
+// given by path in ACTIVITY_SCORE_CONFIG. ACTIVITY_SCORE_STRATEGY picks the strategy.
+const DEFAULT_CONFIG = {
+    strategy: 'logarithmic',
+    nativeScore: 100,
+
+    // We want the score to be slightly more stable, so just a little spread can negatively influence
+    // It's also a easy fix for issuers. With a big spread, the other stuff is kinda useless
+    // Helps distinguish between assets that only have offers and nothing much else
+    spreadPenaltyExponent: 3, // (1 - spread) ^ exponent, range: [0,1]
+
+    bonuses: {
+        // Having the full amount of 20 bids and asks on each side is important since
+        // it makes the market look like there is activity
+        // It's a flat improvement so that even those without market makers can improve their ranking
+        numOffersDivisor: 20, // [0,2]
+
+        // A bonus for having an average of up to 12 trade every 24 hours. Adds
+        // more detail to the charts. However, we don't want to overemphasize taking
+        // This is again to help assets with little activity
+        constantActivityCap: 12,
+        constantActivityDivisor: 24, // [0,0.5]
+
+        // It's nice to at least show that there is something happening.
+        // Just $100 volume gets the asset a nice bonus
+        nonzeroVolumeCap: 1,
+        nonzeroVolumeDivisor: 100, // [0,1]
+    },
+
+    // For assets to do well, they don't need to have all the metrics so that
+    // assets that dont do well in one category won't get punished.
+    logarithmic: {
+        // Having good depth is SUPER important
+        // Use a lower base log to make it easier to get depth points
+        depthLogWeight: 0.5,
+        depthLogBase: 2, // [0, infinity]
+
+        // Lets also add a linear component to depth score.
+        // Again, we are emphasizing depth. Cap it at $100k.
+        // $50k depth should cover the bases of small users.
+        depthLinearCap: 10,
+        depthLinearDivisor: 10000, // += [0, 10]
+
+        // Volume really helps! However, it's not as important as depth especially
+        // since there are no pecentage fees on the Stellar network
+        volumeLogBase: 4, // [0, infinity]
+
+        // numTrades is helpful too. Especially the first few num trades are important!
+        // But we want to encourage depth more than market taking
+        numTradesLogBase: 4,
+
+        // But numTrades doesn't really give us a picture of how active it is.
+        // We want to look even more at how much percentage of the day there is activity
+        // Constant activity is best
+        tradeRecordsCap: 7,
+        tradeRecordsDivisor: 8, // += [0,7]
+    },
+
+    // Every component grows linearly up to its cap. Large markets don't pull away from the rest
+    linear: {
+        depthCap: 20,
+        depthDivisor: 5000, // $100k depth for the full score
+        volumeCap: 10,
+        volumeDivisor: 10000, // $100k volume for the full score
+        numTradesCap: 10,
+        numTradesDivisor: 50, // 500 trades for the full score
+    },
+};
+
+function logScore(value, base) {
+    return Math.log(base + value) / Math.log(base) - 1;
+}
+
+function cappedRatio(value, divisor, cap) {
+    return Math.min(cap, value / divisor);
+}
+
+// Each strategy returns the depth, volume and numTrades components of the score
+const STRATEGIES = {
+    logarithmic(asset, config) {
+        const c = config.logarithmic;
+        return {
+            depth: c.depthLogWeight * logScore(asset.depth10_USD, c.depthLogBase) +
+                cappedRatio(asset.depth10_USD, c.depthLinearDivisor, c.depthLinearCap),
+            volume: logScore(asset.volume24h_USD, c.volumeLogBase),
+            numTrades: logScore(asset.numTrades24h, c.numTradesLogBase) +
+                cappedRatio(asset._numTradeRecords24h, c.tradeRecordsDivisor, c.tradeRecordsCap),
+        };
+    },
+    linear(asset, config) {
+        const c = config.linear;
+        return {
+            depth: cappedRatio(asset.depth10_USD, c.depthDivisor, c.depthCap),
+            volume: cappedRatio(asset.volume24h_USD, c.volumeDivisor, c.volumeCap),
+            numTrades: cappedRatio(asset.numTrades24h, c.numTradesDivisor, c.numTradesCap),
+        };
+    },
+};
+
+// Arrays of the config file replace the default ones rather than being merged by index
+function loadConfig() {
+    const config = _.mergeWith({}, DEFAULT_CONFIG,
+        process.env.ACTIVITY_SCORE_CONFIG ? JSON.parse(fs.readFileSync(process.env.ACTIVITY_SCORE_CONFIG, 'utf8')) : {},
+        (value, override) => (Array.isArray(override) ? override : undefined));
+    if (process.env.ACTIVITY_SCORE_STRATEGY) {
+        config.strategy = process.env.ACTIVITY_SCORE_STRATEGY;
+    }
+    if (!STRATEGIES[config.strategy]) {
+        throw new Error(`Unknown activity score strategy: ${config.strategy}`);
+    }
+    return config;
+}
+
+// Returns the components of the score of an asset with market data.
+// score = spreadPenalty * (bonuses + depth + volume + numTrades)
+function scoreBreakdown(asset, config) {
+    const b = config.bonuses;
+    const bonuses = (asset.numBids + asset.numAsks) / b.numOffersDivisor +
+        Math.min(b.constantActivityCap, asset._numTradeRecords24h) / b.constantActivityDivisor +
+        cappedRatio(asset.volume24h_USD, b.nonzeroVolumeDivisor, b.nonzeroVolumeCap);
+
+    return Object.assign({
+        spreadPenalty: Math.pow((1 - asset.spread), config.spreadPenaltyExponent),
+        bonuses,
+    }, STRATEGIES[config.strategy](asset, config));
+}
+
+function scoreFromBreakdown({ spreadPenalty, bonuses, depth, volume, numTrades }) {
+    return spreadPenalty * (bonuses + depth + volume + numTrades);
+}
+
+module.exports = { DEFAULT_CONFIG, STRATEGIES, loadConfig, scoreBreakdown, scoreFromBreakdown };
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const _ = require('lodash');
+
+// Thresholds and publish policy of the run-to-run checks. They can be overridden with a JSON file
+// in the same shape, given by path in ANOMALY_CONFIG
+const DEFAULT_CONFIG = {
+    // Price of an asset in XLM moved by more than this fraction since the last published ticker
+    priceMove: 0.5,
+    // USD_XLM moved by more than this fraction
+    usdXlmJump: 0.2,
+    // 24h volume in USD grew more than this many times, for assets with at least minSpikeVolumeUSD
+    volumeSpike: 10,
+    minSpikeVolumeUSD: 1000,
+    // Activity score fell below this fraction of the previous score, for assets that had at least minCollapseScore
+    scoreCollapse: 0.5,
+    minCollapseScore: 5,
+
+    // Anomaly types that keep the previous ticker published. Other anomalies are published with a warning
+    holdOn: ['usdXlmJump', 'assetsVanished'],
+    // Only hold when at least this many assets vanished, a single delisting is normal
+    minVanishedToHold: 3,
+    // After this many seconds without a published ticker, the new one is published anyway
+    maxHoldSeconds: 900,
+};
+
+// Arrays of the config file such as holdOn replace the default ones rather than being merged by index
+function loadConfig() {
+    return _.mergeWith({}, DEFAULT_CONFIG,
+        process.env.ANOMALY_CONFIG ? JSON.parse(fs.readFileSync(process.env.ANOMALY_CONFIG, 'utf8')) : {},
+        (value, override) => (Array.isArray(override) ? override : undefined));
+}
+
+function relativeChange(previous, current) {
+    return Math.abs(current / previous - 1);
+}
+
+function detectAnomalies(previous, current, config) {
+    const anomalies = [];
+    const previousUsdXlm = previous._meta.externalPrices.USD_XLM;
+    const currentUsdXlm = current._meta.externalPrices.USD_XLM;
+    if (previousUsdXlm > 0 && relativeChange(previousUsdXlm, currentUsdXlm) > config.usdXlmJump) {
+        anomalies.push({
+            type: 'usdXlmJump',
+            previous: previousUsdXlm,
+            current: currentUsdXlm,
+            message: `USD_XLM moved ${_.round(100 * relativeChange(previousUsdXlm, currentUsdXlm), 2)}%`,
+        });
+    }
+
+    const currentAssets = _.keyBy(current.assets, 'id');
+    const vanished = [];
+    _.each(previous.assets, (previousAsset) => {
+        const asset = currentAssets[previousAsset.id];
+        if (!asset) {
+            vanished.push(previousAsset.id);
+            return;
+        }
+        if (previousAsset.price_XLM > 0 && asset.price_XLM > 0 &&
+            relativeChange(previousAsset.price_XLM, asset.price_XLM) > config.priceMove) {
+            anomalies.push({
+                type: 'priceMove',
+                asset: asset.id,
+                previous: previousAsset.price_XLM,
+                current: asset.price_XLM,
+                message: `Price moved ${_.round(100 * relativeChange(previousAsset.price_XLM, asset.price_XLM), 2)}%`,
+            });
+        }
+        if (asset.volume24h_USD >= config.minSpikeVolumeUSD &&
+            asset.volume24h_USD > config.volumeSpike * (previousAsset.volume24h_USD || 0)) {
+            anomalies.push({
+                type: 'volumeSpike',
+                asset: asset.id,
+                previous: previousAsset.volume24h_USD || 0,
+                current: asset.volume24h_USD,
+                message: 'Volume spiked',
+            });
+        }
+        if (previousAsset.activityScore >= config.minCollapseScore &&
+            asset.activityScore < config.scoreCollapse * previousAsset.activityScore) {
+            anomalies.push({
+                type: 'scoreCollapse',
+                asset: asset.id,
+                previous: previousAsset.activityScore,
+                current: asset.activityScore,
+                message: 'Activity score collapsed',
+            });
+        }
+    });
+    if (vanished.length) {
+        anomalies.push({
+            type: 'assetsVanished',
+            assets: vanished,
+            message: `${vanished.length} assets vanished`,
+        });
+    }
+    return anomalies;
+}
+
+// Returns 'publish', 'publishWithWarning' or 'hold'
+function decide(anomalies, previous, config) {
+    if (!anomalies.length) {
+        return 'publish';
+    }
+    const holding = anomalies.some(anomaly => config.holdOn.indexOf(anomaly.type) !== -1 &&
+        (anomaly.type !== 'assetsVanished' || anomaly.assets.length >= config.minVanishedToHold));
+    const previousAge = Date.now() / 1000 - previous._meta.start;
+    if (holding && previousAge < config.maxHoldSeconds) {
+        return 'hold';
+    }
+    return 'publishWithWarning';
+}
+
+// Compares the generated ticker (JSON string) to the previously published one (JSON string or null).
+// Returns { decision, checkedAgainst, items }
+function checkTicker(previousJson, currentJson, config = loadConfig()) {
+    if (!previousJson) {
+        return { decision: 'publish', checkedAgainst: null, items: [] };
+    }
+    const previous = JSON.parse(previousJson);
+    const current = JSON.parse(currentJson);
+    const items = detectAnomalies(previous, current, config);
+    return {
+        decision: decide(items, previous, config),
+        checkedAgainst: previous._meta.startISO,
+        items,
+    };
+}
+
+module.exports = { DEFAULT_CONFIG, loadConfig, detectAnomalies, decide, checkTicker };
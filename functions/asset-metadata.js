@@ -0,0 +1,66 @@
+const Promise = require('bluebird');
+const _ = require('lodash');
+const PQueue = require('p-queue');
+const StellarSdk = require('stellar-sdk');
+const { runMetrics } = require('./metrics');
+const envNumber = require('./utils/env-number');
+
+const queue = new PQueue({concurrency: 10});
+
+const TOML_TIMEOUT = 5000;
+// A stellar.toml is fetched again after this time, a domain that failed is retried sooner
+const CACHE_TTL = envNumber('TOML_CACHE_MINUTES', 60) * 60 * 1000;
+const ERROR_CACHE_TTL = 10 * 60 * 1000;
+
+// Fields of a [[CURRENCIES]] entry copied to the assets
+const CURRENCY_FIELDS = ['name', 'image', 'desc', 'conditions', 'anchor_asset', 'is_asset_anchored'];
+
+// domain => { expires, currencies } or { expires, error }. Kept between the runs of a warm Lambda or a local server
+const cache = {};
+
+function fetchCurrencies(domain) {
+    const cached = cache[domain];
+    if (cached && cached.expires > Date.now()) {
+        return cached.error ? Promise.reject(cached.error) : Promise.resolve(cached.currencies);
+    }
+    return queue.add(() => runMetrics.track(`https://${domain}`,
+        () => StellarSdk.StellarTomlResolver.resolve(domain, { timeout: TOML_TIMEOUT })))
+        .then((toml) => {
+            const currencies = Array.isArray(toml.CURRENCIES) ? toml.CURRENCIES : [];
+            cache[domain] = { expires: Date.now() + CACHE_TTL, currencies };
+            return currencies;
+        })
+        .catch((e) => {
+            const error = new Error(e.message);
+            cache[domain] = { expires: Date.now() + ERROR_CACHE_TTL, error };
+            throw error;
+        });
+}
+
+// Metadata of the assets from the stellar.toml of their domains.
+// assets: [{ code, issuer, domain }]. Resolves with { metadata: { [code-issuer]: { name, image, ... } }, errors: [{ domain, error }] }.
+// A domain that fails only leaves its assets without metadata
+function loadAssetMetadata(assets) {
+    const metadata = {};
+    const errors = [];
+    const byDomain = _.groupBy(_.filter(assets, asset => asset.issuer && asset.domain), 'domain');
+    return Promise.all(_.map(byDomain, (domainAssets, domain) => fetchCurrencies(domain)
+        .then((currencies) => {
+            domainAssets.forEach((asset) => {
+                const currency = _.find(currencies, { code: asset.code, issuer: asset.issuer });
+                metadata[`${asset.code}-${asset.issuer}`] = _.fromPairs(CURRENCY_FIELDS.map(field => [
+                    field, currency && currency[field] !== undefined ? currency[field] : null,
+                ]));
+            });
+        })
+        .catch((e) => {
+            errors.push({ domain, error: e.message });
+        })))
+        .then(() => ({ metadata, errors: _.sortBy(errors, 'domain') }));
+}
+
+function metadataOf(metadata, asset) {
+    return metadata[`${asset.code}-${asset.issuer}`] || _.fromPairs(CURRENCY_FIELDS.map(field => [field, null]));
+}
+
+module.exports = { CURRENCY_FIELDS, loadAssetMetadata, metadataOf };
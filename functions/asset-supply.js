@@ -0,0 +1,85 @@
+const Promise = require('bluebird');
+const _ = require('lodash');
+const PQueue = require('p-queue');
+const { horizonPool } = require('./horizon-pool');
+
+const queue = new PQueue({concurrency: 10});
+
+// A supply is loaded again after this time, so the ticker and CMC generators running together share one request
+const CACHE_TTL = 5 * 60 * 1000;
+
+// code-issuer => { expires, supply }. Kept between the runs of a warm Lambda or a local server
+const cache = {};
+
+function parseAmount(amount) {
+    return amount === undefined ? 0 : parseFloat(amount);
+}
+
+// Supply, holders and issuer flags of an asset from Horizon /assets, or null when Horizon doesn't know the asset.
+// The supply counts the balances of all trustlines, claimable balances and liquidity pool reserves
+function loadSupply(code, issuer) {
+    return horizonPool.call(server => server.assets().forCode(code).forIssuer(issuer).limit(1))
+        .then((page) => {
+            const record = page.records[0];
+            if (!record) {
+                return null;
+            }
+            const balances = record.balances || {};
+            const accounts = record.accounts || {};
+            return {
+                supply: _.round(
+                    parseAmount(balances.authorized !== undefined ? balances.authorized : record.amount) +
+                    parseAmount(balances.authorized_to_maintain_liabilities) +
+                    parseAmount(balances.unauthorized) +
+                    parseAmount(record.claimable_balances_amount) +
+                    parseAmount(record.liquidity_pools_amount),
+                    7),
+                numAccounts: (accounts.authorized !== undefined ? accounts.authorized : record.num_accounts) +
+                    (accounts.authorized_to_maintain_liabilities || 0) +
+                    (accounts.unauthorized || 0),
+                flags: record.flags,
+            };
+        });
+}
+
+function cachedSupply(code, issuer) {
+    const key = `${code}-${issuer}`;
+    const cached = cache[key];
+    if (cached && cached.expires > Date.now()) {
+        return Promise.resolve(cached.supply);
+    }
+    return queue.add(() => loadSupply(code, issuer))
+        .then((supply) => {
+            cache[key] = { expires: Date.now() + CACHE_TTL, supply };
+            return supply;
+        });
+}
+
+// Supply of the non-native assets. assets: [{ code, issuer }].
+// Resolves with { supplies: { [code-issuer]: { supply, numAccounts, flags } }, errors: [{ asset, error }] }
+function loadAssetSupplies(assets) {
+    const supplies = {};
+    const errors = [];
+    return Promise.all(_.filter(assets, 'issuer').map(({ code, issuer }) => cachedSupply(code, issuer)
+        .then((supply) => {
+            if (supply) {
+                supplies[`${code}-${issuer}`] = supply;
+            }
+        })
+        .catch((e) => {
+            errors.push({ asset: `${code}-${issuer}`, error: e.message });
+        })))
+        .then(() => ({ supplies, errors }));
+}
+
+function supplyOf(supplies, asset) {
+    return supplies[`${asset.code}-${asset.issuer}`] || { supply: null, numAccounts: null, flags: null };
+}
+
+// Total lumens in existence, from the latest ledger
+function loadTotalCoins() {
+    return horizonPool.call(server => server.ledgers().order('desc').limit(1))
+        .then(page => parseFloat(page.records[0].total_coins));
+}
+
+module.exports = { loadSupply, loadAssetSupplies, supplyOf, loadTotalCoins };
@@ -1,10 +1,16 @@
-const { HORIZON_SERVER, ANCHORS_SERVER } = require('./horizon-server.constant');
+const _ = require('lodash');
+const { ANCHORS_SERVER } = require('./horizon-server.constant');
 const StellarSdk = require('stellar-sdk');
 const directory = require('stellarterm-directory');
-
-const Server = new StellarSdk.Server(HORIZON_SERVER, {
-    appName: process.env.APP_NAME,
-});
+const { horizonPool } = require('./horizon-pool');
+const { generateCoingeckoFiles } = require('./coingecko-data-generator');
+const liquidityPools = require('./liquidity-pools');
+const { loadAssetMetadata, metadataOf } = require('./asset-metadata');
+const { loadAssetSupplies, supplyOf } = require('./asset-supply');
+const orderbookLevels = require('./utils/orderbook-levels');
+const { filterDirectory } = require('./utils/market-filter');
+const Logger = require('./utils/logger');
+const envNumber = require('./utils/env-number');
 
 const XLM_CMC_ID = 512;
 
@@ -13,12 +19,43 @@ const PERIOD_24H = 86400 * 1000;
 const RESOLUTION_15_MINUTES = 900 * 1000;
 const RESOLUTION_MINUTE = 60 * 1000;
 
-function generate() {
+// Levels of each side in cmc/v1/orderbook/* and number of trades in cmc/v1/trades/*. Horizon allows 1 to 200
+const ORDERBOOK_DEPTH = _.clamp(envNumber('CMC_ORDERBOOK_DEPTH', 100), 1, 200);
+const TRADES_LIMIT = _.clamp(envNumber('CMC_TRADES_LIMIT', 100), 1, 200);
+
+// The CMC spec asks for an integer trade_id. Horizon trade ids are "<operation id>-<index>" and operation ids
+// are 64 bit integers past Number.MAX_SAFE_INTEGER, so the Horizon id is published as a string instead
+function formatTrade(trade) {
+    return {
+        trade_id: trade.id,
+        price: trade.price.n / trade.price.d,
+        base_volume: parseFloat(trade.base_amount),
+        quote_volume: parseFloat(trade.counter_amount),
+        timestamp: Date.parse(trade.ledger_close_time),
+        type: trade.base_is_seller ? 'sell' : 'buy',
+    };
+}
+
+// opts.filter limits the files to some markets (see utils/market-filter). Failures that leave data out of the files
+// are logged to opts.logger, the logger of the run
+function generate(opts = {}) {
+    const logger = opts.logger || new Logger();
     directory.reset();
     const end = Date.now();
     const start = end - PERIOD_24H;
-    return directory.initializeIssuerOrgs(ANCHORS_SERVER)
+    return horizonPool.selectServer()
+        .then(() => directory.initializeIssuerOrgs(ANCHORS_SERVER))
+        .then(() => filterDirectory(directory, opts.filter))
         .then(() => Object.values(directory.assets).filter(({unlisted, disabled}) => !unlisted && !disabled))
+        .then((assets) => Promise.all([loadAssetMetadata(assets), loadAssetSupplies(assets)])
+            .then(([{ metadata, errors }, { supplies, errors: supplyErrors }]) => {
+                errors.forEach(({ domain, error }) => logger.error(`CMC: stellar.toml of ${domain} failed: ${error}`));
+                supplyErrors.forEach(({ asset, error }) => logger.error(`CMC: supply of ${asset} failed: ${error}`));
+                return assets.map(asset => Object.assign({
+                    metadata: metadataOf(metadata, asset),
+                    supply: supplyOf(supplies, asset),
+                }, asset));
+            }))
         .then((assets) => assets.map((asset) => {
             const isCounterAsset = asset.code === 'BTC' || asset.is_counter_selling;
             const base = !isCounterAsset ? new StellarSdk.Asset(asset.code, asset.issuer) : NATIVE;
@@ -26,17 +63,22 @@ function generate() {
             if (base.code === counter.code) {
                 return null;
             }
-            const ORDERBOOK = Server.orderbook(base, counter).call();
-            const TRADES_24h = Server.tradeAggregation(base, counter, start, end + RESOLUTION_15_MINUTES, RESOLUTION_15_MINUTES, 0)
-                .limit(100).order('desc').call();
-            const LAST_TRADE = Server.tradeAggregation(base, counter, start, end + RESOLUTION_MINUTE, RESOLUTION_MINUTE, 0)
-                .limit(1).order('desc').call();
-            return Promise.allSettled([ORDERBOOK, TRADES_24h, LAST_TRADE])
-                .then(([orderbook, trades, lastTrade]) => [
+            const ORDERBOOK = horizonPool.call(server => server.orderbook(base, counter).limit(ORDERBOOK_DEPTH));
+            const TRADES_24h = horizonPool.call(server => server.tradeAggregation(base, counter, start, end + RESOLUTION_15_MINUTES, RESOLUTION_15_MINUTES, 0)
+                .limit(100).order('desc'));
+            const LAST_TRADE = horizonPool.call(server => server.tradeAggregation(base, counter, start, end + RESOLUTION_MINUTE, RESOLUTION_MINUTE, 0)
+                .limit(1).order('desc'));
+            const RECENT_TRADES = horizonPool.call(server => server.trades().forAssetPair(base, counter)
+                .limit(TRADES_LIMIT).order('desc'));
+            const POOL = liquidityPools.loadPairPool(base, counter);
+            return Promise.allSettled([ORDERBOOK, TRADES_24h, LAST_TRADE, RECENT_TRADES, POOL])
+                .then(([orderbook, trades, lastTrade, recentTrades, pool]) => [
                     orderbook.status === 'fulfilled' ? orderbook.value : null,
                     trades.status === 'fulfilled' ? trades.value : null,
                     lastTrade.status === 'fulfilled' ? lastTrade.value : null,
-                    asset
+                    asset,
+                    recentTrades.status === 'fulfilled' ? recentTrades.value : null,
+                    pool.status === 'fulfilled' ? pool.value : null,
                 ]);
         }))
         .then((assetsRequests) => Promise.all(assetsRequests))
@@ -44,15 +86,18 @@ function generate() {
             const summary = {};
             const assets = {};
             const ticker = {};
+            const markets = {};
             responses.forEach((response) => {
                 if (response === null) {
                     return;
                 }
-                const [orderbook, trades, lastTrade, asset] = response;
+                const [classicOrderbook, trades, lastTrade, asset, recentTrades, pool] = response;
+                // The pool counts like offers in the orderbook, its trades are in the trade aggregations
+                const orderbook = classicOrderbook && liquidityPools.withPool(classicOrderbook, pool);
                 const isCounterAsset = asset.code === 'BTC' || asset.is_counter_selling;
                 const highest_bid = orderbook && orderbook.bids.length ? parseFloat(orderbook.bids[0].price) : null;
                 const lowest_ask = orderbook && orderbook.asks.length ? parseFloat(orderbook.asks[0].price) : null;
-                const last_price = highest_bid && lowest_ask ? (highest_bid + lowest_ask) / 2 : null;
+                const midPrice = highest_bid && lowest_ask ? (highest_bid + lowest_ask) / 2 : null;
                 const [base_volume, quote_volume, highest_price_24h, lowest_price_24h] = trades && trades.records.reduce(
                     ([base, quote, high24, low24], {base_volume, counter_volume, high, low}) => [
                         base + Number(base_volume),
@@ -66,6 +111,12 @@ function generate() {
                 const startPrice = trades && trades.records.length ? parseFloat(trades.records[trades.records.length - 1].open) : null;
                 const finishPrice = lastTrade && lastTrade.records.length ? parseFloat(lastTrade.records[0].close) : null;
                 const price_change_percent_24h = startPrice !== null && finishPrice !== null ? ((finishPrice / startPrice) - 1) : 0;
+                // A one-sided orderbook has no mid price, the last trade is used. Markets without either are left out,
+                // the other markets of the files are still published
+                const last_price = midPrice || finishPrice;
+                if (!last_price) {
+                    return;
+                }
 
                 const trading_pairs = isCounterAsset ? `${NATIVE.code}_${asset.code}` : `${asset.code}_${NATIVE.code}`;
                 const alreadyExists = summary[trading_pairs];
@@ -81,15 +132,26 @@ function generate() {
                     base_currency: asset.code,
                     quote_currency: NATIVE.code
                 };
-                assets[asset.code] = {
+                markets[trading_pairs] = {
+                    base: isCounterAsset ? NATIVE.code : asset.code,
+                    target: isCounterAsset ? asset.code : NATIVE.code,
+                    orderbook, recentTrades, last_price, highest_bid, lowest_ask, base_volume, quote_volume,
+                    highest_price_24h, lowest_price_24h
+                };
+                assets[asset.code] = Object.assign({
                     name: asset.code,
                     can_withdraw: true,
                     can_deposit: true,
                     maker_fee: 0,
                     taker_fee: 0
-                };
+                }, asset.metadata, {
+                    // The name from stellar.toml can be missing
+                    name: asset.metadata.name || asset.code,
+                });
                 if (asset.coinmarketcap_id) {
                     assets[asset.code].unified_cryptoasset_id = asset.coinmarketcap_id;
+                    assets[asset.code].supply = asset.supply.supply;
+                    assets[asset.code].num_accounts = asset.supply.numAccounts;
                 }
                 ticker[trading_pairs] = {
                     isFrozen: 0,
@@ -107,11 +169,19 @@ function generate() {
                 }
             });
 
-            return {
+            const files = {
                 'cmc/v1/summary.json': JSON.stringify(Object.values(summary)),
                 'cmc/v1/assets.json': JSON.stringify(assets),
                 'cmc/v1/ticker.json': JSON.stringify(ticker)
             };
+            Object.keys(markets).forEach((trading_pairs) => {
+                const { orderbook, recentTrades } = markets[trading_pairs];
+                files[`cmc/v1/orderbook/${trading_pairs}.json`] = JSON.stringify(Object.assign({
+                    timestamp: end,
+                }, orderbookLevels(orderbook)));
+                files[`cmc/v1/trades/${trading_pairs}.json`] = JSON.stringify(recentTrades ? recentTrades.records.map(formatTrade) : []);
+            });
+            return Object.assign(files, generateCoingeckoFiles(markets, end));
         });
 }
 
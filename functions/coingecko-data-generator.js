@@ -0,0 +1,42 @@
+const _ = require('lodash');
+const orderbookLevels = require('./utils/orderbook-levels');
+
+// Files of the CoinGecko exchange integration: pairs, tickers and an orderbook per ticker.
+// Built from the markets selected by the CMC generator, so both share the same orderbooks and trade aggregations.
+// markets: { [ticker_id]: { base, target, orderbook, last_price, highest_bid, lowest_ask, base_volume,
+//     quote_volume, highest_price_24h, lowest_price_24h } }
+function generateCoingeckoFiles(markets, timestamp) {
+    const pairs = [];
+    const tickers = [];
+    const files = {};
+
+    _.each(markets, (market, ticker_id) => {
+        pairs.push({
+            ticker_id,
+            base: market.base,
+            target: market.target,
+        });
+        tickers.push({
+            ticker_id,
+            base_currency: market.base,
+            target_currency: market.target,
+            last_price: market.last_price,
+            base_volume: market.base_volume,
+            target_volume: market.quote_volume,
+            bid: market.highest_bid,
+            ask: market.lowest_ask,
+            high: market.highest_price_24h,
+            low: market.lowest_price_24h,
+        });
+        files[`coingecko/v1/orderbook/${ticker_id}.json`] = JSON.stringify(Object.assign({
+            ticker_id,
+            timestamp,
+        }, orderbookLevels(market.orderbook)));
+    });
+
+    files['coingecko/v1/pairs.json'] = JSON.stringify(pairs);
+    files['coingecko/v1/tickers.json'] = JSON.stringify(tickers);
+    return files;
+}
+
+module.exports = { generateCoingeckoFiles };
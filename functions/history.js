@@ -1,172 +1,124 @@
 const Promise = require('bluebird');
 const _ = require('lodash');
-const rp = require('request-promise');
 const StellarSdk = require('stellar-sdk');
 
 const PQueue = require('p-queue');
 const queue = new PQueue({concurrency: 20});
-const run = queue.add;
 
-const { HORIZON_SERVER } = require('./horizon-server.constant');
+const { ANCHORS_SERVER } = require('./horizon-server.constant');
+const { network } = require('./network');
+const { filterDirectory } = require('./utils/market-filter');
+const { horizonPool } = require('./horizon-pool');
+const Logger = require('./utils/logger');
 
 const directory = require('stellarterm-directory');
 
-S = new StellarSdk.Server(HORIZON_SERVER, { appName: 'StellarTerm-JS-Backend'});
+const PAGE_LIMIT = 200;
 
-function historyGenerator() {
-    let ticker = {
-        _meta: {
-            start: Math.floor(Date.now() / 1000),
-            startISO: Date(),
-            apiLicense: 'Apache-2.0',
-        },
-    };
-
-    return  Promise.resolve()
-        .then(() => phase1(ticker))
-        .then(() => phase2(ticker))
-        .then(() => phase3(ticker))
-        .then(() => {
-            return {
-                'v1/ticker.json': JSON.stringify(ticker, null, 2)
-            };
-        });
-}
-
-function phase1(ticker) {
-    return Promise.all([
-        getHorizonMain()
-            .then(main => {
-                ticker._meta.horizon = {
-                    core_latest_ledger: main.core_latest_ledger,
-                    network_passphrase: main.network_passphrase,
-                }
-            })
-        ,
-        getExternalPrices()
-            .then(externalPrices => {
-                ticker._meta.externalPrices = externalPrices;
-            })
-    ])
-}
-
-function phase2(ticker) {
-    ticker.assets = [];
-
-    ticker.assets.push({
-        id: 'XLM-native',
-        code: 'XLM',
-        issuer: null,
-        domain: 'native',
-        slug: 'XLM-native',
-        website: 'https://www.stellar.org/lumens/',
-    });
-    _.each(directory.assets, (asset, id) => {
-        let r = {};
-        r.id = id;
-        r.code = asset.code;
-        r.issuer = asset.issuer;
-        r.domain = asset.domain;
-        r.slug = asset.code + '-' + asset.domain;
-        r.website = directory.anchors[asset.domain].website;
-        ticker.assets.push(r)
-    });
-}
-
-function phase3(ticker) {
+// Candles kept in each file. The first run for a pair fetches this many buckets back,
+// later runs only fetch the buckets after the last published one
+const RESOLUTIONS = {
+    '15m': { resolution: 15 * 60 * 1000, maxCandles: 2 * 7 * 96 }, // 2 weeks
+    '1h': { resolution: 60 * 60 * 1000, maxCandles: 60 * 24 }, // 60 days
+    '1d': { resolution: 24 * 60 * 60 * 1000, maxCandles: 3 * 365 }, // 3 years
+    '1w': { resolution: 7 * 24 * 60 * 60 * 1000, maxCandles: 10 * 52 }, // 10 years
+};
 
+function historyFilename(pairSlug, resolutionName) {
+    return `v1/history/${pairSlug}/${resolutionName}.json`;
 }
 
-function getExternalPrices() {
-    return Promise.all([
-        getBtcPrice(),
-        getLumenPrice(),
-    ])
-        .then(externalData => {
-            return {
-                USD_BTC: externalData[0],
-                BTC_XLM: externalData[1],
-                USD_XLM: _.round(externalData[0] * externalData[1], 6),
-            }
+// opts.getFile(filename) resolves with the contents of the previously published file.
+// Without it (or when it rejects) the history of the file is fetched from scratch.
+// opts.filter limits the files to some markets (see utils/market-filter). A file that can't be updated is left out,
+// the failure is logged to opts.logger, the logger of the run
+function historyGenerator(opts = {}) {
+    const getFile = opts.getFile || (() => Promise.reject());
+    const logger = opts.logger || new Logger();
+    const end = Date.now();
+
+    directory.reset();
+    return horizonPool.selectServer()
+        .then(() => directory.initializeIssuerOrgs(ANCHORS_SERVER))
+        .then(() => filterDirectory(directory, opts.filter))
+        .then(() => {
+            const jobs = [];
+            _.each(directory.pairs, (pair, pairSlug) => {
+                _.each(RESOLUTIONS, (settings, resolutionName) => {
+                    const filename = historyFilename(pairSlug, resolutionName);
+                    jobs.push(queue.add(() => Promise.try(() => getFile(filename))
+                        .then(contents => JSON.parse(contents).candles || [])
+                        .catch(() => [])
+                        .then(previousCandles => updateCandles(pair, settings, previousCandles, end))
+                        .then(candles => [filename, JSON.stringify({
+                            _meta: {
+                                updated: Math.floor(end / 1000),
+                                updatedISO: new Date(end).toISOString(),
+                                apiLicense: 'Apache-2.0',
+                                network: network.name,
+                            },
+                            pair: pairSlug,
+                            baseBuying: pair.baseBuying,
+                            counterSelling: pair.counterSelling,
+                            resolution: resolutionName,
+                            candles,
+                        })])
+                        .catch(e => {
+                            logger.error(`History: failed to update ${filename}: ${(e && e.message) || e}`);
+                            return null;
+                        })));
+                });
+            });
+            return Promise.all(jobs);
         })
+        .then(results => ({
+            files: _.fromPairs(_.compact(results)),
+        }));
 }
 
-function getBtcPrice() {
-    return Promise.all([
-        rp('https://api.coindesk.com/v1/bpi/currentprice.json')
-            .then(data => {
-                return _.round(JSON.parse(data).bpi.USD.rate_float, 3);
-            })
-            .catch(() => {
-                return null;
-            })
-        ,
-        rp('https://api.bitfinex.com/v2/ticker/tBTCUSD')
-            .then(data => {
-                return _.round(JSON.parse(data)[2], 3);
-            })
-            .catch(() => {
-                return null;
-            })
-        ,
-        rp('https://api.coinbase.com/v2/prices/spot?currency=USD')
-            .then(data => {
-                return _.round(JSON.parse(data).data.amount, 3);
-            })
-            .catch(() => {
-                return null;
-            })
-        ,
-        rp('https://api.kraken.com/0/public/Ticker?pair=XBTUSD')
-            .then(data => {
-                return _.round(JSON.parse(data).result.XXBTZUSD.c[0], 3);
-            })
-            .catch(() => {
-                return null;
-            })
-    ])
-        .then(allPrices => {
-            return _.round(_.mean(_.filter(allPrices, price => price !== null)), 2);
-        })
+// The last previous candle is fetched again since its bucket may not have been closed yet
+function updateCandles(pair, settings, previousCandles, end) {
+    const { resolution, maxCandles } = settings;
+    const lastCandle = _.last(previousCandles);
+    const firstStart = Math.floor((end - maxCandles * resolution) / resolution) * resolution;
+    const start = lastCandle ? Math.max(lastCandle.timestamp, firstStart) : firstStart;
+
+    const baseBuying = new StellarSdk.Asset(pair.baseBuying.code, pair.baseBuying.issuer);
+    const counterSelling = new StellarSdk.Asset(pair.counterSelling.code, pair.counterSelling.issuer);
+
+    return fetchAggregations(baseBuying, counterSelling, start, end + resolution, resolution)
+        .then(records => {
+            const newCandles = records.map(toCandle);
+            const kept = previousCandles.filter(candle => candle.timestamp < start);
+            return kept.concat(newCandles).slice(-maxCandles);
+        });
 }
 
-// Get lumen price in terms of btc
-function getLumenPrice() {
-    return Promise.all([
-        rp('https://poloniex.com/public?command=returnTicker')
-            .then(data => {
-                return parseFloat(JSON.parse(data).BTC_STR.last);
-            })
-            .catch(() => {
-                return null;
-            })
-        ,
-        rp('https://bittrex.com/api/v1.1/public/getticker?market=BTC-XLM')
-            .then(data => {
-                return parseFloat(JSON.parse(data).result.Last);
-            })
-            .catch(() => {
-                return null;
-            })
-        ,
-        rp('https://api.kraken.com/0/public/Ticker?pair=XLMXBT')
-            .then(data => {
-                return parseFloat(JSON.parse(data).result.XXLMXXBT.c[0]);
-            })
-            .catch(() => {
-                return null;
-            })
-    ])
-        .then(allPrices => {
-            return _.round(_.mean(_.filter(allPrices, price => price !== null)), 8);
-        })
+function fetchAggregations(baseBuying, counterSelling, start, end, resolution) {
+    let records = [];
+    const processPage = page => {
+        records = records.concat(page.records);
+        if (page.records.length < PAGE_LIMIT) {
+            return records;
+        }
+        return page.next().then(processPage);
+    };
+    return horizonPool.call(server => server.tradeAggregation(baseBuying, counterSelling, start, end, resolution, 0)
+        .limit(PAGE_LIMIT).order('asc'))
+        .then(processPage);
 }
 
-function getHorizonMain() {
-    return rp(HORIZON_SERVER)
-        .then(horizonMain => {
-            return JSON.parse(horizonMain);
-        })
+function toCandle(record) {
+    return {
+        timestamp: Number(record.timestamp),
+        open: Number(record.open),
+        high: Number(record.high),
+        low: Number(record.low),
+        close: Number(record.close),
+        base_volume: Number(record.base_volume),
+        counter_volume: Number(record.counter_volume),
+        trade_count: Number(record.trade_count),
+    };
 }
 
-module.exports = historyGenerator;
+module.exports = { historyGenerator };
@@ -0,0 +1,117 @@
+const Promise = require('bluebird');
+const _ = require('lodash');
+const rp = require('request-promise');
+const StellarSdk = require('stellar-sdk');
+
+const { HORIZON_SERVERS } = require('./horizon-server.constant');
+const { network } = require('./network');
+const { runMetrics } = require('./metrics');
+
+const HEALTH_CHECK_TIMEOUT = 5000;
+// A server more than this many ledgers behind the most recent one is only used when nothing else is available
+const MAX_LEDGER_LAG = 5;
+
+// Keeps a list of Horizon servers ordered by health. Requests go to the first server
+// and move on to the next one when a request fails for a reason other than a bad request.
+// Servers on another network than passphrase are never used
+class HorizonPool {
+    constructor(urls, passphrase) {
+        this._passphrase = passphrase;
+        this._servers = urls.map(url => ({
+            url,
+            server: new StellarSdk.Server(url, {
+                appName: process.env.APP_NAME,
+                allowHttp: url.startsWith('http://'),
+            }),
+        }));
+        this._current = 0;
+        this._usable = this._servers.length;
+        this._failovers = [];
+        this._candidates = [];
+    }
+
+    // Health checks every server by latency and ledger lag, and starts using the best one.
+    // Resolves with the root response of the chosen server
+    selectServer() {
+        this._failovers = [];
+        return Promise.all(this._servers.map(({ url }) => {
+            const start = Date.now();
+            return runMetrics.track(url, () => rp({ uri: url, json: true, timeout: HEALTH_CHECK_TIMEOUT }))
+                .then(main => (this._passphrase && main.network_passphrase !== this._passphrase ? {
+                    url,
+                    error: `On another network: ${main.network_passphrase}`,
+                    wrongNetwork: true,
+                } : {
+                    url,
+                    latency: Date.now() - start,
+                    core_latest_ledger: main.core_latest_ledger,
+                    main,
+                }))
+                .catch(e => ({ url, error: e.message }));
+        }))
+            .then(results => {
+                const latestLedger = _.max(_.map(results, 'core_latest_ledger'));
+                results.forEach(result => {
+                    if (!result.error) {
+                        result.lag = latestLedger - result.core_latest_ledger;
+                    }
+                });
+                const ordered = _.sortBy(results, [
+                    result => (result.wrongNetwork ? 3 : (result.error ? 2 : (result.lag > MAX_LEDGER_LAG ? 1 : 0))),
+                    result => result.lag,
+                    result => result.latency,
+                ]);
+                this._servers = ordered.map(({ url }) => _.find(this._servers, { url }));
+                this._current = 0;
+                this._usable = _.reject(ordered, 'wrongNetwork').length;
+                this._candidates = results.map(result => _.omit(result, ['main', 'wrongNetwork']));
+
+                if (ordered[0].error) {
+                    const error = new Error(this._usable ? 'No Horizon server is reachable' : `No Horizon server is on the ${network.name} network`);
+                    error.detail = JSON.stringify(this._candidates);
+                    throw error;
+                }
+                return ordered[0].main;
+            });
+    }
+
+    getServerUrl() {
+        return this._servers[this._current].url;
+    }
+
+    // buildRequest(server) returns a call builder of the Stellar SDK, e.g. server => server.orderbook(a, b)
+    call(buildRequest, attempt = 0) {
+        const index = this._current;
+        runMetrics.increment('horizonCalls');
+        return runMetrics.track(this._servers[index].url, () => buildRequest(this._servers[index].server).call())
+            .catch((e) => {
+                const isRequestError = e instanceof StellarSdk.NotFoundError || e instanceof StellarSdk.BadRequestError;
+                if (isRequestError || attempt >= this._usable - 1) {
+                    throw e;
+                }
+                // Parallel requests can fail on the same server, only the first one moves to the next server
+                if (this._current === index) {
+                    runMetrics.increment('horizonFailovers');
+                    this._current = (index + 1) % this._usable;
+                    this._failovers.push({
+                        from: this._servers[index].url,
+                        to: this._servers[this._current].url,
+                        error: e.message,
+                        time: new Date().toISOString(),
+                    });
+                }
+                return this.call(buildRequest, attempt + 1);
+            });
+    }
+
+    // Fields for _meta.horizon
+    getMeta() {
+        return {
+            url: this.getServerUrl(),
+            candidates: this._candidates,
+            failovers: this._failovers,
+        };
+    }
+}
+
+module.exports = { HorizonPool, horizonPool: new HorizonPool(HORIZON_SERVERS, network.passphrase) };
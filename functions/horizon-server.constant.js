@@ -1,4 +1,8 @@
-const HORIZON_SERVER = 'https://horizon.stellar.org';
-const ANCHORS_SERVER = "https://fed.stellarterm.com/issuer_orgs/";
-// const HORIZON_SERVER = 'https://horizon.stellar.lobstr.co';
-module.exports = { HORIZON_SERVER, ANCHORS_SERVER };
+const { network } = require('./network');
+
+// Horizon endpoints of the selected network in order of preference. Before each run they are health checked and
+// requests fail over to the next one. Can be overridden with a comma separated HORIZON_SERVERS
+const HORIZON_SERVERS = network.horizonServers;
+const HORIZON_SERVER = HORIZON_SERVERS[0];
+const ANCHORS_SERVER = network.directorySource;
+module.exports = { HORIZON_SERVER, HORIZON_SERVERS, ANCHORS_SERVER };
@@ -0,0 +1,88 @@
+const _ = require('lodash');
+const { horizonPool } = require('./horizon-pool');
+
+// Price moves, as fractions of the pool price, at which the curve of a pool is cut into orderbook levels
+const LEVEL_STEPS = [0.001, 0.0025, 0.005, 0.01, 0.015, 0.02, 0.03, 0.04, 0.05, 0.075, 0.1, 0.15, 0.2, 0.3, 0.5];
+
+// Asset as written by Horizon in the reserves of a pool: native or CODE:ISSUER
+function reserveAsset(asset) {
+    return asset.isNative() ? 'native' : `${asset.getCode()}:${asset.getIssuer()}`;
+}
+
+// The liquidity pool of the two assets, or null when there is none.
+// Returns { id, fee, totalShares, baseReserve, counterReserve } with the reserves in the order of the pair
+function loadPool(baseBuying, counterSelling) {
+    return horizonPool.call(server => server.liquidityPools().forAssets(baseBuying, counterSelling))
+        .then((page) => {
+            const pool = _.find(page.records, record => record.reserves.length === 2);
+            if (!pool) {
+                return null;
+            }
+            const reserveOf = asset => parseFloat(_.find(pool.reserves, { asset: reserveAsset(asset) }).amount);
+            return {
+                id: pool.id,
+                fee: pool.fee_bp / 10000,
+                totalShares: parseFloat(pool.total_shares),
+                baseReserve: reserveOf(baseBuying),
+                counterReserve: reserveOf(counterSelling),
+            };
+        });
+}
+
+// Loads the pool of a pair. Resolves with null when the pair has no pool or an empty one.
+// Pool trades need no loading of their own: Horizon trade aggregations include them, so they are already part of
+// the 24h volume and number of trades of the pair
+function loadPairPool(baseBuying, counterSelling) {
+    return loadPool(baseBuying, counterSelling)
+        .then(pool => (pool && pool.baseReserve > 0 && pool.counterReserve > 0 ? pool : null));
+}
+
+// Cuts the constant product curve of the pool into levels in the format of a Horizon orderbook,
+// so that the pool counts like offers in the price, depth and slippage of the pair.
+// For reserves x (base) and y (counter) at price p = y / x, moving the price to p * (1 - m) pays out
+// y * (1 - sqrt(1 - m)) of the counter asset, and moving it to p * (1 + m) pays out x * (1 - 1 / sqrt(1 + m))
+// of the base asset. The fee of the pool is applied to the price of each level
+function poolLevels(pool) {
+    const price = pool.counterReserve / pool.baseReserve;
+    const bids = [];
+    const asks = [];
+    LEVEL_STEPS.forEach((step, i) => {
+        const previous = i ? LEVEL_STEPS[i - 1] : 0;
+        bids.push({
+            price: String(_.round(price * (1 - step) * (1 - pool.fee), 7)),
+            amount: String(_.round(pool.counterReserve * (Math.sqrt(1 - previous) - Math.sqrt(1 - step)), 7)),
+        });
+        asks.push({
+            price: String(_.round(price * (1 + step) / (1 - pool.fee), 7)),
+            amount: String(_.round(pool.baseReserve * (1 / Math.sqrt(1 + previous) - 1 / Math.sqrt(1 + step)), 7)),
+        });
+    });
+    return { bids, asks };
+}
+
+// The orderbook with the levels of the pool merged in, or the orderbook itself when there is no pool
+function withPool(orderbook, pool) {
+    if (!pool) {
+        return orderbook;
+    }
+    const levels = poolLevels(pool);
+    return Object.assign({}, orderbook, {
+        bids: _.orderBy(orderbook.bids.concat(levels.bids), bid => parseFloat(bid.price), 'desc'),
+        asks: _.orderBy(orderbook.asks.concat(levels.asks), ask => parseFloat(ask.price), 'asc'),
+    });
+}
+
+// Entry of the liquidityPools section of an asset, without the pair slug
+function describePool(pool, baseBuying, counterSelling) {
+    return {
+        id: pool.id,
+        reserves: [
+            { asset: reserveAsset(baseBuying), amount: pool.baseReserve },
+            { asset: reserveAsset(counterSelling), amount: pool.counterReserve },
+        ],
+        totalShares: pool.totalShares,
+        fee: pool.fee,
+    };
+}
+
+module.exports = { loadPool, loadPairPool, poolLevels, withPool, describePool };
@@ -0,0 +1,129 @@
+const Promise = require('bluebird');
+const _ = require('lodash');
+
+const PREFIX = 'stellarterm_ticker';
+
+// Counters incremented during a run
+const COUNTERS = {
+    horizonCalls: 'Calls to Horizon, including retries on another server',
+    horizonFailovers: 'Horizon failovers',
+    cmcRetries: 'CoinMarketCap request retries',
+};
+
+function hostOf(url) {
+    try {
+        return new URL(url).host;
+    } catch (e) {
+        return 'unknown';
+    }
+}
+
+function seconds(ms) {
+    return _.round(ms / 1000, 3);
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Metrics of one ticker run: upstream calls per host, counters and values set by the phases.
+// Reset at the start of every run like the loggers
+class RunMetrics {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this._start = Date.now();
+        this._upstreams = {};
+        this._counters = {};
+        this._values = {};
+    }
+
+    // Calls request() and records its latency and outcome for the host of the url
+    track(url, request) {
+        const host = hostOf(url);
+        const start = Date.now();
+        const record = (error) => {
+            const upstream = this._upstreams[host] || (this._upstreams[host] = { calls: 0, errors: 0, totalLatency: 0, maxLatency: 0 });
+            const latency = Date.now() - start;
+            upstream.calls += 1;
+            upstream.errors += error ? 1 : 0;
+            upstream.totalLatency += latency;
+            upstream.maxLatency = Math.max(upstream.maxLatency, latency);
+        };
+        return Promise.try(request)
+            .then((result) => {
+                record(false);
+                return result;
+            }, (e) => {
+                record(true);
+                throw e;
+            });
+    }
+
+    // name is one of COUNTERS
+    increment(name, by = 1) {
+        this._counters[name] = (this._counters[name] || 0) + by;
+    }
+
+    set(name, value) {
+        this._values[name] = value;
+    }
+
+    // Contents of v1/metrics.json. phases are the durations in ms from the step logger
+    snapshot({ runId, success, phases }) {
+        return Object.assign({
+            runId,
+            timestamp: new Date().toISOString(),
+            success,
+            durationMs: Date.now() - this._start,
+            phases,
+            upstreams: _.mapValues(this._upstreams, upstream => ({
+                calls: upstream.calls,
+                errors: upstream.errors,
+                avgLatencyMs: _.round(upstream.totalLatency / upstream.calls),
+                maxLatencyMs: upstream.maxLatency,
+            })),
+            counters: _.mapValues(COUNTERS, (help, name) => this._counters[name] || 0),
+        }, this._values);
+    }
+
+    // Prometheus text exposition of a snapshot. Every metric is a gauge of the last run
+    static toPrometheus(snapshot) {
+        const lines = [];
+        const metric = (name, help, samples) => {
+            lines.push(`# HELP ${PREFIX}_${name} ${help}`, `# TYPE ${PREFIX}_${name} gauge`);
+            samples.forEach(([labels, value]) => {
+                const labelText = _.map(labels, (labelValue, label) => `${label}="${escapeLabel(labelValue)}"`).join(',');
+                lines.push(`${PREFIX}_${name}${labelText ? `{${labelText}}` : ''} ${Number(value)}`);
+            });
+        };
+        const upstreams = _.toPairs(snapshot.upstreams);
+
+        metric('last_run_timestamp_seconds', 'End of the last run', [[{}, Math.floor(Date.parse(snapshot.timestamp) / 1000)]]);
+        metric('last_run_success', '1 when the last run generated a ticker', [[{}, snapshot.success ? 1 : 0]]);
+        metric('run_duration_seconds', 'Duration of the last run', [[{}, seconds(snapshot.durationMs)]]);
+        metric('phase_duration_seconds', 'Duration of each phase of the last run',
+            _.map(snapshot.phases, (ms, phase) => [{ phase }, seconds(ms)]));
+        metric('upstream_calls', 'Calls to each upstream host in the last run',
+            upstreams.map(([host, upstream]) => [{ host }, upstream.calls]));
+        metric('upstream_errors', 'Failed calls to each upstream host in the last run',
+            upstreams.map(([host, upstream]) => [{ host }, upstream.errors]));
+        metric('upstream_latency_avg_seconds', 'Average latency of each upstream host in the last run',
+            upstreams.map(([host, upstream]) => [{ host }, seconds(upstream.avgLatencyMs)]));
+        metric('upstream_latency_max_seconds', 'Highest latency of each upstream host in the last run',
+            upstreams.map(([host, upstream]) => [{ host }, seconds(upstream.maxLatencyMs)]));
+        _.each(snapshot.counters, (value, name) => {
+            metric(_.snakeCase(name), `${COUNTERS[name]} in the last run`, [[{}, value]]);
+        });
+        ['assets', 'pairs', 'failedPairs'].forEach((name) => {
+            if (snapshot[name] !== undefined) {
+                metric(_.snakeCase(name), `Number of ${_.lowerCase(name)} processed in the last run`, [[{}, snapshot[name]]]);
+            }
+        });
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+module.exports = { RunMetrics, runMetrics: new RunMetrics(), COUNTERS };
@@ -0,0 +1,72 @@
+const StellarSdk = require('stellar-sdk');
+
+const STELLARTERM_DIRECTORY = 'https://fed.stellarterm.com/issuer_orgs/';
+
+// Stellar networks the generators can run against. STELLAR_NETWORK selects one (public by default).
+// HORIZON_SERVERS and DIRECTORY_SOURCE override the servers and the issuer list of any network,
+// a custom network also needs NETWORK_PASSPHRASE and takes its name from NETWORK_NAME
+const NETWORKS = {
+    public: {
+        passphrase: StellarSdk.Networks.PUBLIC,
+        horizonServers: [
+            'https://horizon.stellar.org',
+            'https://horizon.stellar.lobstr.co',
+        ],
+        directorySource: STELLARTERM_DIRECTORY,
+    },
+    testnet: {
+        passphrase: StellarSdk.Networks.TESTNET,
+        horizonServers: ['https://horizon-testnet.stellar.org'],
+        // The StellarTerm issuer list only has public network issuers, set DIRECTORY_SOURCE for testnet assets
+        directorySource: STELLARTERM_DIRECTORY,
+    },
+    custom: {
+        passphrase: null,
+        horizonServers: [],
+        directorySource: STELLARTERM_DIRECTORY,
+    },
+};
+
+function splitList(value) {
+    return value.split(',').map(item => item.trim()).filter(item => item);
+}
+
+// Output keys of the public network stay at the root of the bucket, other networks are kept under networks/<name>/.
+// The passphrase tells the public network apart from one that only took its name
+function keyPrefixOf(name, passphrase) {
+    return name === 'public' && passphrase === StellarSdk.Networks.PUBLIC ? '' : `networks/${name}/`;
+}
+
+// { name, passphrase, horizonServers, directorySource, keyPrefix } of the network selected by env
+function resolveNetwork(env = process.env) {
+    const type = env.STELLAR_NETWORK || 'public';
+    const profile = NETWORKS[type];
+    if (!profile) {
+        throw new Error(`Unknown STELLAR_NETWORK: ${type}, expected one of ${Object.keys(NETWORKS).join(', ')}`);
+    }
+    const name = type === 'custom' ? (env.NETWORK_NAME || 'custom') : type;
+    if (!/^[a-z0-9-]+$/.test(name)) {
+        throw new Error(`NETWORK_NAME can only have lowercase letters, digits and dashes: ${name}`);
+    }
+    // A custom network named after a built-in one would publish over its files
+    if (type === 'custom' && name !== 'custom' && NETWORKS[name]) {
+        throw new Error(`NETWORK_NAME ${name} is the name of a built-in network, pick another one`);
+    }
+    const passphrase = env.NETWORK_PASSPHRASE || profile.passphrase;
+    const network = {
+        name,
+        passphrase,
+        horizonServers: env.HORIZON_SERVERS ? splitList(env.HORIZON_SERVERS) : profile.horizonServers,
+        directorySource: env.DIRECTORY_SOURCE || profile.directorySource,
+        keyPrefix: keyPrefixOf(name, passphrase),
+    };
+    if (!network.passphrase) {
+        throw new Error(`The ${name} network needs NETWORK_PASSPHRASE`);
+    }
+    if (!network.horizonServers.length) {
+        throw new Error(`The ${name} network needs HORIZON_SERVERS`);
+    }
+    return network;
+}
+
+module.exports = { NETWORKS, resolveNetwork, network: resolveNetwork() };
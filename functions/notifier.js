@@ -0,0 +1,140 @@
+const Promise = require('bluebird');
+const _ = require('lodash');
+const rp = require('request-promise');
+const { fileOptions } = require('./storage');
+const envNumber = require('./utils/env-number');
+
+// State of the previous runs, so that a failure is notified once and not on every minute
+const STATE_FILE = '_internal/notifier-state.json';
+
+const DEFAULT_REPEAT_MINUTES = 60;
+// A degradation is notified once it is seen in this many runs in a row
+const DEFAULT_DEGRADED_RUNS = 5;
+const REQUEST_TIMEOUT = 10000;
+
+// NOTIFY_WEBHOOKS is a comma separated list of webhook URLs. Prefix a URL with `slack:` or `discord:`
+// to send a payload in that format, other URLs get the generic JSON payload
+function loadConfig() {
+    return {
+        sinks: _.compact((process.env.NOTIFY_WEBHOOKS || '').split(',').map(item => item.trim()))
+            .map((item) => {
+                const match = item.match(/^(slack|discord|generic):(https?:\/\/.+)$/);
+                return match ? { format: match[1], url: match[2] } : { format: 'generic', url: item };
+            }),
+        repeatMs: envNumber('NOTIFY_REPEAT_MINUTES', DEFAULT_REPEAT_MINUTES) * 60 * 1000,
+        degradedRuns: envNumber('NOTIFY_DEGRADED_RUNS', DEFAULT_DEGRADED_RUNS),
+    };
+}
+
+function emptyState() {
+    return { failing: false, failingSince: null, lastFailureNotified: null, degradations: {} };
+}
+
+// Works out the events to send from the state of the previous runs and the ticker-state of this run.
+// Returns the events and the state to keep for the next run
+function evaluate(previousState, tickerState, now, config) {
+    const state = _.cloneDeep(previousState);
+    const events = [];
+    const failed = tickerState.tickerState === 'Ticker generation failed';
+
+    if (failed) {
+        if (!state.failing) {
+            state.failing = true;
+            state.failingSince = now;
+        }
+        if (!state.lastFailureNotified || now - state.lastFailureNotified >= config.repeatMs) {
+            state.lastFailureNotified = now;
+            events.push({
+                type: 'failure',
+                title: 'Ticker generation failed',
+                text: `Failing since ${new Date(state.failingSince).toISOString()}. ${_.get(tickerState, 'error.message', '')}`.trim(),
+            });
+        }
+    } else if (state.failing) {
+        events.push({
+            type: 'recovery',
+            title: 'Ticker generation recovered',
+            text: `Failing from ${new Date(state.failingSince).toISOString()} to ${new Date(now).toISOString()}`,
+        });
+        state.failing = false;
+        state.failingSince = null;
+        state.lastFailureNotified = null;
+    }
+
+    const current = _.keyBy(tickerState.degradations || [], 'key');
+    if (_.get(tickerState, 'anomalies.decision') === 'hold') {
+        current['anomalies:hold'] = { key: 'anomalies:hold', message: 'Ticker held back because of anomalies' };
+    }
+    _.each(state.degradations, (degradation, key) => {
+        if (current[key]) {
+            return;
+        }
+        if (degradation.lastNotified) {
+            events.push({
+                type: 'degradationResolved',
+                title: 'Degradation resolved',
+                text: degradation.message,
+            });
+        }
+        delete state.degradations[key];
+    });
+    _.each(current, ({ key, message }) => {
+        const degradation = state.degradations[key] || { since: now, runs: 0, lastNotified: null };
+        degradation.runs += 1;
+        degradation.message = message;
+        state.degradations[key] = degradation;
+        if (degradation.runs >= config.degradedRuns &&
+            (!degradation.lastNotified || now - degradation.lastNotified >= config.repeatMs)) {
+            degradation.lastNotified = now;
+            events.push({
+                type: 'degraded',
+                title: 'Sustained degradation',
+                text: `${message} (since ${new Date(degradation.since).toISOString()})`,
+            });
+        }
+    });
+
+    return { state, events };
+}
+
+function payload(format, event) {
+    switch (format) {
+    case 'slack':
+        return { text: `*StellarTerm API: ${event.title}*\n${event.text}` };
+    case 'discord':
+        return { content: `**StellarTerm API: ${event.title}**\n${event.text}` };
+    default:
+        return Object.assign({ service: 'stellarterm-api', time: new Date().toISOString() }, event);
+    }
+}
+
+function send(sinks, events, logger) {
+    return Promise.all(_.flatMap(sinks, sink => events.map(event => rp({
+        method: 'POST',
+        uri: sink.url,
+        body: payload(sink.format, event),
+        json: true,
+        timeout: REQUEST_TIMEOUT,
+    }).catch((e) => {
+        logger.error(`Notifier: webhook ${sink.format} failed: ${e.message}`);
+    }))));
+}
+
+// Sends the notifications for the ticker-state.json of this run (as a JSON string) and keeps the state in storage.
+// Failed webhooks are logged to the logger of the run
+function notify(storage, tickerStateJson, logger, config = loadConfig()) {
+    if (!config.sinks.length) {
+        return Promise.resolve([]);
+    }
+    return storage.get(STATE_FILE)
+        .then(data => (data ? JSON.parse(data) : emptyState()))
+        .catch(() => emptyState())
+        .then((previousState) => {
+            const { state, events } = evaluate(previousState, JSON.parse(tickerStateJson), Date.now(), config);
+            return send(config.sinks, events, logger)
+                .then(() => storage.put(STATE_FILE, JSON.stringify(state), fileOptions(STATE_FILE)))
+                .then(() => events);
+        });
+}
+
+module.exports = { loadConfig, evaluate, payload, notify, STATE_FILE };
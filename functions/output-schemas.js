@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const Ajv = require('ajv');
+
+// JSON Schemas of the published files, kept in functions/schemas/<version>/ and published in schemas/<version>/.
+// A breaking change of a file gets a new version
+const SCHEMA_VERSION = 'v1';
+const SCHEMA_DIR = path.join(__dirname, 'schemas', SCHEMA_VERSION);
+const SCHEMA_PREFIX = `schemas/${SCHEMA_VERSION}/`;
+
+// Schema of each published file. ticker-state.json reports the validation and is published as is
+const FILE_SCHEMAS = [
+    [/^v1\/ticker\.json$/, 'ticker'],
+    [/^v1\/metrics\.json$/, 'metrics'],
+    [/^v1\/history\/[^/]+\/[^/]+\/[^/]+\.json$/, 'history'],
+    [/^cmc\/v1\/summary\.json$/, 'cmc-summary'],
+    [/^cmc\/v1\/assets\.json$/, 'cmc-assets'],
+    [/^cmc\/v1\/ticker\.json$/, 'cmc-ticker'],
+    [/^cmc\/v1\/orderbook\/[^/]+\.json$/, 'cmc-orderbook'],
+    [/^cmc\/v1\/trades\/[^/]+\.json$/, 'cmc-trades'],
+    [/^coingecko\/v1\/pairs\.json$/, 'coingecko-pairs'],
+    [/^coingecko\/v1\/tickers\.json$/, 'coingecko-tickers'],
+    [/^coingecko\/v1\/orderbook\/[^/]+\.json$/, 'coingecko-orderbook'],
+];
+
+// Errors reported per refused file
+const MAX_ERRORS = 20;
+
+const schemas = _.fromPairs(fs.readdirSync(SCHEMA_DIR)
+    .filter(filename => filename.endsWith('.schema.json'))
+    .map(filename => [filename.replace('.schema.json', ''), fs.readFileSync(path.join(SCHEMA_DIR, filename), 'utf8')]));
+const ajv = new Ajv({ allErrors: true });
+const validators = _.mapValues(schemas, schema => ajv.compile(JSON.parse(schema)));
+
+function schemaOf(filename) {
+    const match = _.find(FILE_SCHEMAS, ([pattern]) => pattern.test(filename));
+    return match ? match[1] : null;
+}
+
+// Validates the files ({ filename: contents }) that have a schema.
+// Returns the files that can be published and the refused ones: [{ file, schema, errors }]
+function validateFiles(files) {
+    const rejected = [];
+    const valid = _.pickBy(files, (contents, file) => {
+        const schema = schemaOf(file);
+        if (!schema) {
+            return true;
+        }
+        let errors;
+        try {
+            const validate = validators[schema];
+            errors = validate(JSON.parse(contents)) ? [] : validate.errors.map(error => `${error.dataPath || '/'} ${error.message}`);
+        } catch (e) {
+            errors = [`Not JSON: ${e.message}`];
+        }
+        if (errors.length) {
+            rejected.push({ file, schema, errors: _.uniq(errors).slice(0, MAX_ERRORS) });
+        }
+        return !errors.length;
+    });
+    return { files: valid, rejected };
+}
+
+// The schemas as files to publish, e.g. schemas/v1/ticker.schema.json
+function schemaFiles() {
+    return _.mapKeys(schemas, (schema, name) => `${SCHEMA_PREFIX}${name}.schema.json`);
+}
+
+module.exports = { SCHEMA_VERSION, FILE_SCHEMAS, validateFiles, schemaFiles, schemaOf };
@@ -0,0 +1,9 @@
+module.exports = {
+    name: 'binance',
+    pairs: {
+        BTC_XLM: {
+            url: 'https://api.binance.com/api/v3/ticker/price?symbol=XLMBTC',
+            parse: data => parseFloat(JSON.parse(data).price),
+        },
+    },
+};
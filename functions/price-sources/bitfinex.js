@@ -0,0 +1,15 @@
+const _ = require('lodash');
+
+module.exports = {
+    name: 'bitfinex',
+    pairs: {
+        USD_BTC: {
+            url: 'https://api.bitfinex.com/v2/ticker/tBTCUSD',
+            parse: data => _.round(JSON.parse(data)[2], 3),
+        },
+        BTC_XLM: {
+            url: 'https://api.bitfinex.com/v2/ticker/tXLMBTC',
+            parse: data => parseFloat(JSON.parse(data)[2]),
+        },
+    },
+};
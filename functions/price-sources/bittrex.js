@@ -0,0 +1,11 @@
+// Disabled by default: Bittrex has shut down
+module.exports = {
+    name: 'bittrex',
+    enabled: false,
+    pairs: {
+        BTC_XLM: {
+            url: 'https://bittrex.com/api/v1.1/public/getticker?market=BTC-XLM',
+            parse: data => parseFloat(JSON.parse(data).result.Last),
+        },
+    },
+};
@@ -0,0 +1,19 @@
+const _ = require('lodash');
+
+module.exports = {
+    name: 'coinbase',
+    pairs: {
+        USD_BTC: {
+            url: 'https://api.coinbase.com/v2/prices/spot?currency=USD',
+            parse: data => _.round(JSON.parse(data).data.amount, 3),
+        },
+        BTC_XLM: {
+            url: 'https://api.coinbase.com/v2/prices/XLM-BTC/spot',
+            parse: data => parseFloat(JSON.parse(data).data.amount),
+        },
+    },
+    fiat: {
+        url: 'https://api.coinbase.com/v2/exchange-rates?currency=USD',
+        parse: (data, fiat) => JSON.parse(data).data.rates[fiat],
+    },
+};
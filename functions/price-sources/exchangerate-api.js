@@ -0,0 +1,8 @@
+module.exports = {
+    name: 'exchangerate-api',
+    pairs: {},
+    fiat: {
+        url: 'https://open.er-api.com/v6/latest/USD',
+        parse: (data, fiat) => JSON.parse(data).rates[fiat],
+    },
+};
@@ -0,0 +1,11 @@
+module.exports = {
+    name: 'floatrates',
+    pairs: {},
+    fiat: {
+        url: 'https://www.floatrates.com/daily/usd.json',
+        parse: (data, fiat) => {
+            const rate = JSON.parse(data)[fiat.toLowerCase()];
+            return rate && rate.rate;
+        },
+    },
+};
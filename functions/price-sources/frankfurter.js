@@ -0,0 +1,11 @@
+// Reference rates of the European Central Bank, only for the currencies the ECB publishes.
+// The rates of past days give the change of a rate over 24h
+module.exports = {
+    name: 'frankfurter',
+    pairs: {},
+    fiat: {
+        url: 'https://api.frankfurter.app/latest?from=USD',
+        parse: (data, fiat) => JSON.parse(data).rates[fiat],
+        historyUrl: date => `https://api.frankfurter.app/${date}?from=USD`,
+    },
+};
@@ -0,0 +1,195 @@
+const Promise = require('bluebird');
+const _ = require('lodash');
+const rp = require('request-promise');
+const { runMetrics } = require('../metrics');
+const envNumber = require('../utils/env-number');
+
+// Each source module has a name, the pairs it can price (url + parser of the response body)
+// and may be disabled by default with `enabled: false`. A source of fiat exchange rates also has
+// `fiat: { url, parse(body, fiat) }` returning the units of the fiat per USD, or nothing when it doesn't quote the fiat.
+// It can also give the rates of a past day with `fiat.historyUrl(date)`, parsed the same way.
+// Sources are switched on and off with comma separated lists of names in PRICE_SOURCES_ENABLED and
+// PRICE_SOURCES_DISABLED. A list entry can also target one pair of a source, e.g. `kraken:BTC_XLM`
+const SOURCES = [
+    require('./bitfinex'),
+    require('./coinbase'),
+    require('./kraken'),
+    require('./binance'),
+    require('./poloniex'),
+    require('./bittrex'),
+    require('./exchangerate-api'),
+    require('./floatrates'),
+    require('./frankfurter'),
+];
+
+const PRECISION = {
+    USD_BTC: 2,
+    BTC_XLM: 8,
+};
+// Fiat rates such as EUR_USD
+const DEFAULT_PRECISION = 6;
+
+// Prices further than this fraction from the median of all sources are rejected
+const DEFAULT_MAX_DEVIATION = 0.05;
+const REQUEST_TIMEOUT = 10000;
+
+function parseList(value) {
+    return _.compact((value || '').split(',').map(item => item.trim()));
+}
+
+function isEnabled(source, pair) {
+    const enabledList = parseList(process.env.PRICE_SOURCES_ENABLED);
+    const disabledList = parseList(process.env.PRICE_SOURCES_DISABLED);
+    const ids = [source.name, `${source.name}:${pair}`];
+    if (_.intersection(ids, disabledList).length) {
+        return false;
+    }
+    if (_.intersection(ids, enabledList).length) {
+        return true;
+    }
+    return source.enabled !== false;
+}
+
+function getSources(pair) {
+    return SOURCES.filter(source => source.pairs[pair] && isEnabled(source, pair));
+}
+
+function median(values) {
+    const sorted = _.sortBy(values);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Returns the median of the prices that are close enough to the median of all prices.
+// When none is, e.g. two quotes far apart whose median is their mean, the sources disagree and there is no price:
+// picking one of them would skew the price without notice
+function aggregate(pair, quotes, maxDeviation) {
+    const rejected = quotes.filter(quote => quote.reason);
+    const valid = quotes.filter(quote => !quote.reason);
+    if (!valid.length) {
+        return { price: null, used: [], rejected };
+    }
+
+    const firstMedian = median(_.map(valid, 'price'));
+    const used = [];
+    valid.forEach(quote => {
+        const deviation = Math.abs(quote.price / firstMedian - 1);
+        if (deviation > maxDeviation) {
+            rejected.push(Object.assign({}, quote, {
+                reason: `Deviates ${_.round(deviation * 100, 2)}% from the median ${firstMedian}`,
+            }));
+        } else {
+            used.push(quote);
+        }
+    });
+
+    return {
+        price: used.length ?
+            _.round(median(_.map(used, 'price')), PRECISION[pair] !== undefined ? PRECISION[pair] : DEFAULT_PRECISION) :
+            null,
+        used,
+        rejected,
+    };
+}
+
+// Valid quotes were given but they are too far apart
+function disagree(result) {
+    return result.price === null && _.some(result.rejected, quote => quote.price !== undefined);
+}
+
+function maxDeviation() {
+    return envNumber('PRICE_SOURCES_MAX_DEVIATION', DEFAULT_MAX_DEVIATION);
+}
+
+function request(url) {
+    return runMetrics.track(url, () => rp({ uri: url, timeout: REQUEST_TIMEOUT }));
+}
+
+function toQuote(source, value) {
+    const price = Number(value);
+    if (!_.isFinite(price) || price <= 0) {
+        return { source: source.name, reason: `Invalid price: ${value}` };
+    }
+    return { source: source.name, price };
+}
+
+function fetchQuote(source, pair) {
+    const { url, parse } = source.pairs[pair];
+    return request(url)
+        .then(data => toQuote(source, parse(data)))
+        .catch(e => ({ source: source.name, reason: `Request failed: ${e.message}` }));
+}
+
+// Resolves with { price, used, rejected } for a pair such as USD_BTC.
+// Rejects when no enabled source gives a usable price
+function getExternalPrice(pair) {
+    return Promise.all(getSources(pair).map(source => fetchQuote(source, pair)))
+        .then(quotes => {
+            const result = aggregate(pair, quotes, maxDeviation());
+            if (result.price === null) {
+                const error = new Error(disagree(result) ?
+                    `External price sources disagree on ${pair} by more than the max deviation` :
+                    `No usable external price for ${pair}`);
+                error.detail = JSON.stringify(result.rejected);
+                throw error;
+            }
+            return result;
+        });
+}
+
+// Resolves with { [fiat]: { price, used, rejected } } with the price in units of the fiat per USD, e.g. for the EUR_USD pair.
+// Each source is requested once for all the fiats. A fiat without a usable rate has a null price
+function getFiatRates(fiats) {
+    const sources = SOURCES.filter(source => source.fiat && fiats.some(fiat => isEnabled(source, `${fiat}_USD`)));
+    return Promise.all(sources.map(source => request(source.fiat.url)
+        .then(data => ({ source, data }))
+        .catch(e => ({ source, error: e.message }))))
+        .then(responses => _.fromPairs(fiats.map((fiat) => {
+            const pair = `${fiat}_USD`;
+            const quotes = [];
+            responses.filter(({ source }) => isEnabled(source, pair)).forEach(({ source, data, error }) => {
+                if (error) {
+                    quotes.push({ source: source.name, reason: `Request failed: ${error}` });
+                    return;
+                }
+                let rate;
+                try {
+                    rate = source.fiat.parse(data, fiat);
+                } catch (e) {
+                    quotes.push({ source: source.name, reason: `Invalid response: ${e.message}` });
+                    return;
+                }
+                if (rate !== undefined && rate !== null) {
+                    quotes.push(toQuote(source, rate));
+                }
+            });
+            return [fiat, aggregate(pair, quotes, maxDeviation())];
+        })));
+}
+
+// Resolves with { [fiat]: { source, price } }, the rate of the fiat per USD at a time (ms) by the first source
+// with rates of past days that quotes it. Fiats without such a rate are left out
+function getFiatHistory(fiats, time) {
+    const date = new Date(time).toISOString().slice(0, 10);
+    const sources = SOURCES.filter(source => source.fiat && source.fiat.historyUrl &&
+        fiats.some(fiat => isEnabled(source, `${fiat}_USD`)));
+    return Promise.all(sources.map(source => request(source.fiat.historyUrl(date))
+        .then(data => ({ source, data }))
+        .catch(() => ({ source }))))
+        .then(responses => _.fromPairs(_.compact(fiats.map((fiat) => {
+            let found;
+            responses.filter(({ source, data }) => data && isEnabled(source, `${fiat}_USD`)).some(({ source, data }) => {
+                let quote;
+                try {
+                    quote = toQuote(source, source.fiat.parse(data, fiat));
+                } catch (e) {
+                    return false;
+                }
+                found = quote.reason ? undefined : quote;
+                return !!found;
+            });
+            return found && [fiat, found];
+        }))));
+}
+
+module.exports = { getExternalPrice, getFiatRates, getFiatHistory, getSources, aggregate, disagree };
@@ -0,0 +1,15 @@
+const _ = require('lodash');
+
+module.exports = {
+    name: 'kraken',
+    pairs: {
+        USD_BTC: {
+            url: 'https://api.kraken.com/0/public/Ticker?pair=XBTUSD',
+            parse: data => _.round(JSON.parse(data).result.XXBTZUSD.c[0], 3),
+        },
+        BTC_XLM: {
+            url: 'https://api.kraken.com/0/public/Ticker?pair=XLMXBT',
+            parse: data => parseFloat(JSON.parse(data).result.XXLMXXBT.c[0]),
+        },
+    },
+};
@@ -0,0 +1,11 @@
+// Disabled by default: the BTC_STR market is no longer traded
+module.exports = {
+    name: 'poloniex',
+    enabled: false,
+    pairs: {
+        BTC_XLM: {
+            url: 'https://poloniex.com/public?command=returnTicker',
+            parse: data => parseFloat(JSON.parse(data).BTC_STR.last),
+        },
+    },
+};
@@ -0,0 +1,172 @@
+const Promise = require('bluebird');
+const _ = require('lodash');
+const { fileOptions } = require('./storage');
+const { tickerGenerator } = require('./ticker');
+const { generate } = require('./cmc-data-generator');
+const { historyGenerator } = require('./history');
+const { checkTicker } = require('./anomalies');
+const { notify } = require('./notifier');
+const { archiveRun, LOG_FILE } = require('./run-log');
+const { archiveTicker } = require('./ticker-archive');
+const { SCHEMA_VERSION, validateFiles, schemaFiles } = require('./output-schemas');
+const Logger = require('./utils/logger');
+
+const TICKER_FILE = 'v1/ticker.json';
+const TICKER_STATE_FILE = 'v1/ticker-state.json';
+const TICKER_REFUSED = 'Ticker refused by schema validation';
+
+function putFiles(storage, files) {
+    return Promise.all(_.map(files, (contents, filename) => storage.put(filename, contents, fileOptions(filename))));
+}
+
+// Archives the log of this run (a Logger) and renders the last 24h to the log file, see run-log
+function updateLog(storage, logger, opts) {
+    return archiveRun(storage, logger, opts);
+}
+
+// Compares a generated ticker to the published one. The result goes to the anomalies section of
+// ticker-state.json, and when the policy decides to hold, the published ticker is kept
+function guardAnomalies(previousTicker, files) {
+    if (!files[TICKER_FILE]) {
+        return files;
+    }
+    let anomalies;
+    try {
+        anomalies = checkTicker(previousTicker, files[TICKER_FILE]);
+    } catch (e) {
+        anomalies = { decision: 'publish', checkedAgainst: null, items: [], error: e.message };
+    }
+    const state = JSON.parse(files[TICKER_STATE_FILE]);
+    state.anomalies = anomalies;
+    const checkedFiles = Object.assign({}, files);
+    if (anomalies.decision === 'hold') {
+        state.tickerState = 'Ticker held because of anomalies';
+        delete checkedFiles[TICKER_FILE];
+    }
+    checkedFiles[TICKER_STATE_FILE] = JSON.stringify(state);
+    return checkedFiles;
+}
+
+// Leaves out the files that don't match their schema, the previously published ones stay in place.
+// The refused files are logged to the logger of the run. Returns { files, rejected: [{ file, schema, errors }] }
+function guardSchemas(files, logger = new Logger()) {
+    const result = validateFiles(files);
+    result.rejected.forEach(({ file, errors }) => {
+        logger.error(`Schema validation: ${file} refused: ${errors.join('; ')}`);
+    });
+    return result;
+}
+
+// Adds the refused files to the validation section of ticker-state.json, with a degradation per schema
+// so that a sustained failure is notified
+function recordRejected(stateJson, rejected) {
+    const state = JSON.parse(stateJson);
+    state.validation = {
+        schemaVersion: SCHEMA_VERSION,
+        rejected: (state.validation ? state.validation.rejected : []).concat(rejected),
+    };
+    _.each(_.groupBy(rejected, 'schema'), (files, schema) => {
+        state.degradations.push({
+            key: `schema:${schema}`,
+            message: `${files.length} files refused by the ${schema} schema, e.g. ${files[0].file}: ${files[0].errors[0]}`,
+        });
+    });
+    if (_.some(rejected, { file: TICKER_FILE })) {
+        state.tickerState = TICKER_REFUSED;
+    }
+    return JSON.stringify(state);
+}
+
+// Schema check of the ticker files, the result goes to ticker-state.json
+function guardTickerSchemas(files, logger) {
+    const { files: validFiles, rejected } = guardSchemas(files, logger);
+    validFiles[TICKER_STATE_FILE] = recordRejected(files[TICKER_STATE_FILE], rejected);
+    return validFiles;
+}
+
+// Publishes the schemas in schemas/<version>/, only the ones that changed are written
+function putSchemas(storage) {
+    return Promise.all(_.map(schemaFiles(), (contents, filename) => storage.get(filename)
+        .catch(() => null)
+        .then(published => published !== contents && storage.put(filename, contents, fileOptions(filename)))));
+}
+
+// Generates the ticker, checks it for anomalies and against the schemas, and writes it. opts.filter limits the run to
+// some markets (see utils/market-filter), such a ticker isn't checked for anomalies since the published one has all
+// the markets. opts.ignoreLog keeps the ticker log off the console.
+// Resolves with the written files, the log of the run so far and the run logger: { files, log, logger }.
+// The later steps of the run log to the logger, the run is archived with updateLog once they are done
+function publishTickerFiles(storage, opts = {}) {
+    return storage.get(TICKER_FILE)
+        .catch(() => null)
+        .then(previousTicker => tickerGenerator({ previousTicker, filter: opts.filter, ignoreLog: opts.ignoreLog })
+            .then(({ files, log, logger }) => {
+                const checkedFiles = guardTickerSchemas(opts.filter ? files : guardAnomalies(previousTicker, files), logger);
+                return Promise.all([putFiles(storage, checkedFiles), putSchemas(storage)])
+                    .then(() => ({ files: checkedFiles, log, logger }));
+            }));
+}
+
+// Writes the files that match their schema. The refused ones are logged and added to the published
+// ticker-state.json. Resolves with the refused files
+function putValidFiles(storage, files, logger) {
+    const { files: validFiles, rejected } = guardSchemas(files, logger);
+    return putFiles(storage, validFiles)
+        .then(() => rejected.length && storage.get(TICKER_STATE_FILE)
+            .then(stateJson => stateJson && putFiles(storage, {
+                [TICKER_STATE_FILE]: recordRejected(stateJson, rejected),
+            })))
+        .then(() => rejected);
+}
+
+// The CMC and CoinGecko files. opts.filter as for publishTickerFiles, opts.logger is the logger of the run
+function publishCmcFiles(storage, opts = {}) {
+    return generate({ filter: opts.filter, logger: opts.logger })
+        .then(files => putValidFiles(storage, files, opts.logger));
+}
+
+// One run of the ticker and the CMC generators, as published every minute. The log of the run is archived last,
+// with the failures of every step
+function publishTicker(storage) {
+    return publishTickerFiles(storage)
+        .then(({ files: tickerFiles, logger }) => Promise.all([
+            notify(storage, tickerFiles[TICKER_STATE_FILE], logger)
+                .catch((e) => {
+                    logger.error(`Notifications failed: ${e.message}`);
+                }),
+            // Only published tickers are archived, a held or refused ticker doesn't make it to the rollups
+            tickerFiles[TICKER_FILE] && archiveTicker(storage, tickerFiles[TICKER_FILE])
+                .catch((e) => {
+                    logger.error(`Ticker archive failed: ${e.message}`);
+                }),
+        ])
+            .then(() => publishCmcFiles(storage, { logger }))
+            .catch((e) => {
+                logger.error(`CMC files failed: ${e.message}`);
+                throw e;
+            })
+            .finally(() => updateLog(storage, logger)));
+}
+
+// The history candles. opts.filter as for publishTickerFiles. The history runs on its own schedule, its log is
+// archived as a run of its own and v1/log.txt is left to the ticker runs. Resolves with the refused files
+function publishHistory(storage, opts = {}) {
+    const logger = new Logger('History successfully generated');
+    logger.setPhase('History');
+    return historyGenerator({ getFile: filename => storage.get(filename), filter: opts.filter, logger })
+        .then(({ files }) => putValidFiles(storage, files, logger))
+        .catch((e) => {
+            logger.error(`History failed: ${e.message}`);
+            throw e;
+        })
+        .finally(() => {
+            logger.finish();
+            return updateLog(storage, logger, { recent: false });
+        });
+}
+
+module.exports = {
+    putFiles, updateLog, guardAnomalies, guardSchemas, guardTickerSchemas, putSchemas, putValidFiles,
+    publishTickerFiles, publishCmcFiles, publishTicker, publishHistory,
+    LOG_FILE, TICKER_FILE, TICKER_STATE_FILE, TICKER_REFUSED,
+};
@@ -0,0 +1,68 @@
+const Promise = require('bluebird');
+const _ = require('lodash');
+const { fileOptions } = require('./storage');
+const envNumber = require('./utils/env-number');
+
+// Every run is archived as JSON lines in _internal/logs/YYYY/MM/DD/<runId>.jsonl, run ids start with the time
+const ARCHIVE_PREFIX = '_internal/logs/';
+// Rendered logs of the runs of the last 24h, v1/log.txt is built from it
+const RECENT_FILE = '_internal/log-recent.json';
+const LOG_FILE = 'v1/log.txt';
+
+const DAY = 1000 * 60 * 60 * 24;
+const RECENT_PERIOD = DAY;
+const RETENTION_DAYS = envNumber('LOG_RETENTION_DAYS', 30);
+// Days past the retention that are looked at on every run, so a few days without runs don't leave old logs behind
+const PRUNE_WINDOW_DAYS = 3;
+
+function dayPrefix(time) {
+    const date = new Date(time);
+    const pad = value => _.padStart(value, 2, '0');
+    return `${ARCHIVE_PREFIX}${date.getUTCFullYear()}/${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}/`;
+}
+
+function archiveKey(run) {
+    return `${dayPrefix(run.start)}${run.runId}.jsonl`;
+}
+
+function putFile(storage, key, body) {
+    return storage.put(key, body, fileOptions(key));
+}
+
+function updateRecent(storage, run) {
+    return storage.get(RECENT_FILE)
+        .then(data => (data ? JSON.parse(data) : []))
+        .catch(() => [])
+        .then((recent) => {
+            const kept = [{ runId: run.runId, start: run.start, text: run.text }]
+                .concat(recent.filter(item => item.start > run.start - RECENT_PERIOD));
+            return Promise.all([
+                putFile(storage, RECENT_FILE, JSON.stringify(kept)),
+                putFile(storage, LOG_FILE, kept.map(item => item.text).join('\n\n\n')),
+            ]);
+        });
+}
+
+// Deletes the archived days that are past the retention
+function pruneArchive(storage, now, retentionDays = RETENTION_DAYS) {
+    return Promise.all(_.range(1, PRUNE_WINDOW_DAYS + 1).map(day => storage.list(dayPrefix(now - (retentionDays + day) * DAY))))
+        .then(lists => Promise.all(_.flatten(lists).map(key => storage.delete(key))));
+}
+
+// Archives the log of a run (a Logger), updates v1/log.txt and applies the retention. The retention runs first so
+// that its failure is in the archived log. opts.recent: false leaves v1/log.txt to the runs that update it
+function archiveRun(storage, logger, opts = {}) {
+    return Promise.try(() => pruneArchive(storage, logger.getRun().start))
+        .catch((e) => {
+            logger.error(`Log archive: retention failed: ${e.message}`);
+        })
+        .then(() => {
+            const run = logger.getRun(true);
+            return Promise.all([
+                putFile(storage, archiveKey(run), run.entries.map(entry => JSON.stringify(entry)).join('\n')),
+                opts.recent !== false && updateRecent(storage, run),
+            ]);
+        });
+}
+
+module.exports = { archiveRun, archiveKey, pruneArchive, ARCHIVE_PREFIX, RECENT_FILE, LOG_FILE, RETENTION_DAYS };
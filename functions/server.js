@@ -0,0 +1,89 @@
+const http = require('http');
+const crypto = require('crypto');
+const { fileOptions, INTERNAL_PREFIX } = require('./storage');
+
+const INTERNAL_SEGMENT = INTERNAL_PREFIX.replace(/\/$/, '');
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+    'Access-Control-Allow-Headers': 'If-None-Match',
+    'Access-Control-Expose-Headers': 'ETag',
+};
+
+function etagOf(body) {
+    return `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+}
+
+function send(res, statusCode, headers, body) {
+    res.writeHead(statusCode, Object.assign({}, CORS_HEADERS, headers));
+    res.end(body);
+}
+
+// Serves the files of a storage with the same headers as the bucket: /v1/ticker.json, /cmc/v1/summary.json, ...
+function createServer(storage) {
+    return http.createServer((req, res) => {
+        if (req.method === 'OPTIONS') {
+            return send(res, 204, {});
+        }
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            return send(res, 405, { Allow: 'GET, HEAD, OPTIONS' });
+        }
+
+        let key;
+        try {
+            key = decodeURIComponent(req.url.split('?')[0]).replace(/^\/+/, '');
+        } catch (e) {
+            return send(res, 400, { 'Content-Type': 'text/plain' }, 'Bad request');
+        }
+        // Internal files are under the root and under the prefix of each network, e.g. networks/testnet/_internal/
+        const segments = key.split('/');
+        if (!key || segments.indexOf('..') !== -1 || segments.indexOf(INTERNAL_SEGMENT) !== -1) {
+            return send(res, 404, { 'Content-Type': 'text/plain' }, 'Not found');
+        }
+
+        return storage.get(key)
+            .then((body) => {
+                if (body === null) {
+                    return send(res, 404, { 'Content-Type': 'text/plain' }, 'Not found');
+                }
+                const { contentType, cacheControl } = fileOptions(key);
+                const etag = etagOf(body);
+                const headers = {
+                    'Content-Type': contentType,
+                    'Cache-Control': cacheControl,
+                    ETag: etag,
+                };
+                if (req.headers['if-none-match'] === etag) {
+                    return send(res, 304, headers);
+                }
+                headers['Content-Length'] = Buffer.byteLength(body);
+                return send(res, 200, headers, req.method === 'HEAD' ? undefined : body);
+            })
+            .catch((e) => {
+                console.error(`Server: failed to read ${key}`, e.message);
+                send(res, 500, { 'Content-Type': 'text/plain' }, 'Internal server error');
+            });
+    });
+}
+
+// Calls run() now and then every intervalMs, skipping a tick while the previous run is still going
+function runEvery(intervalMs, run) {
+    let running = false;
+    const tick = () => {
+        if (running) {
+            return;
+        }
+        running = true;
+        Promise.resolve()
+            .then(run)
+            .catch(e => console.error('Scheduled run failed', e && e.message))
+            .then(() => {
+                running = false;
+            });
+    };
+    tick();
+    return setInterval(tick, intervalMs);
+}
+
+module.exports = { createServer, runEvery };
@@ -0,0 +1,53 @@
+const path = require('path');
+const S3Storage = require('./s3-storage');
+const LocalStorage = require('./local-storage');
+const MemoryStorage = require('./memory-storage');
+const PrefixedStorage = require('./prefixed-storage');
+const { network } = require('../network');
+
+// Every storage implements:
+//   get(key)                          -> contents as a string, or null when the key doesn't exist
+//   put(key, body, options)           -> options are { contentType, cacheControl, isPrivate }
+//   putIfAbsent(key, body, options)   -> true when written, false when the key already existed
+//   list(prefix)                      -> sorted keys starting with prefix
+//   delete(key)
+
+const CACHE_CONTROL = 'public, max-age=50';
+const CONTENT_TYPES = {
+    '.json': 'application/json',
+    '.txt': 'text/plain',
+    '.jsonl': 'application/x-ndjson',
+};
+
+// Keys under _internal/ hold state of the generators and aren't public
+const INTERNAL_PREFIX = '_internal/';
+
+function fileOptions(key) {
+    return {
+        contentType: CONTENT_TYPES[path.extname(key)] || 'application/octet-stream',
+        cacheControl: CACHE_CONTROL,
+        isPrivate: key.startsWith(INTERNAL_PREFIX),
+    };
+}
+
+function createBaseStorage(type, opts) {
+    switch (type) {
+    case 's3':
+        return new S3Storage(opts.bucket || process.env.BUCKET);
+    case 'local':
+        return new LocalStorage(opts.root);
+    case 'memory':
+        return new MemoryStorage(opts.files);
+    default:
+        throw new Error(`Unknown storage type: ${type}`);
+    }
+}
+
+// Keys are namespaced with the prefix of the selected network (none on the public network), opts.prefix overrides it
+function createStorage(type, opts = {}) {
+    const storage = createBaseStorage(type, opts);
+    const prefix = opts.prefix !== undefined ? opts.prefix : network.keyPrefix;
+    return prefix ? new PrefixedStorage(storage, prefix) : storage;
+}
+
+module.exports = { createStorage, fileOptions, CACHE_CONTROL, INTERNAL_PREFIX, S3Storage, LocalStorage, MemoryStorage, PrefixedStorage };
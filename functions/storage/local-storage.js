@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const Promise = require('bluebird');
+const mkdirp = require('mkdirp');
+
+// Writes the files under a local directory (./output by default) with the same keys as in the bucket.
+// Content type and cache headers can't be stored on disk, they are derived from the key when serving
+module.exports = class LocalStorage {
+    constructor(root = './output') {
+        this._root = root;
+    }
+
+    _path(key) {
+        return path.join(this._root, key);
+    }
+
+    get(key) {
+        return Promise.try(() => fs.readFileSync(this._path(key), 'utf8'))
+            .catch((e) => {
+                if (e.code === 'ENOENT') {
+                    return null;
+                }
+                throw e;
+            });
+    }
+
+    put(key, body) {
+        return Promise.try(() => {
+            mkdirp.sync(path.dirname(this._path(key)));
+            fs.writeFileSync(this._path(key), body, 'utf8');
+        });
+    }
+
+    putIfAbsent(key, body) {
+        return Promise.try(() => {
+            mkdirp.sync(path.dirname(this._path(key)));
+            fs.writeFileSync(this._path(key), body, { encoding: 'utf8', flag: 'wx' });
+            return true;
+        }).catch((e) => {
+            if (e.code === 'EEXIST') {
+                return false;
+            }
+            throw e;
+        });
+    }
+
+    list(prefix) {
+        const walk = (dir) => {
+            if (!fs.existsSync(dir)) {
+                return [];
+            }
+            return fs.readdirSync(dir).reduce((keys, name) => {
+                const fullPath = path.join(dir, name);
+                return keys.concat(fs.statSync(fullPath).isDirectory() ? walk(fullPath) : [fullPath]);
+            }, []);
+        };
+        // Only the directory the prefix is in is walked, e.g. v1/archive/2020/01/ for v1/archive/2020/01/0
+        const dir = prefix.endsWith('/') ? prefix : path.posix.dirname(prefix);
+        return Promise.try(() => walk(this._path(dir))
+            .map(fullPath => path.relative(this._root, fullPath).split(path.sep).join('/'))
+            .filter(key => key.startsWith(prefix))
+            .sort());
+    }
+
+    delete(key) {
+        return Promise.try(() => {
+            if (fs.existsSync(this._path(key))) {
+                fs.unlinkSync(this._path(key));
+            }
+        });
+    }
+};
@@ -0,0 +1,39 @@
+const Promise = require('bluebird');
+
+// Keeps everything in a Map. The stored objects keep the content type and cache headers
+// so the result of a run can be inspected the same way as the bucket
+module.exports = class MemoryStorage {
+    constructor(files = {}) {
+        this._objects = new Map();
+        Object.keys(files).forEach(key => this._objects.set(key, { body: files[key] }));
+    }
+
+    get(key) {
+        return Promise.resolve(this._objects.has(key) ? this._objects.get(key).body : null);
+    }
+
+    getObject(key) {
+        return this._objects.get(key) || null;
+    }
+
+    put(key, body, { contentType, cacheControl, isPrivate } = {}) {
+        this._objects.set(key, { body: String(body), contentType, cacheControl, isPrivate: !!isPrivate });
+        return Promise.resolve();
+    }
+
+    putIfAbsent(key, body, options) {
+        if (this._objects.has(key)) {
+            return Promise.resolve(false);
+        }
+        return this.put(key, body, options).then(() => true);
+    }
+
+    list(prefix) {
+        return Promise.resolve(Array.from(this._objects.keys()).filter(key => key.startsWith(prefix)).sort());
+    }
+
+    delete(key) {
+        this._objects.delete(key);
+        return Promise.resolve();
+    }
+};
@@ -0,0 +1,29 @@
+// Keeps every key of another storage under a prefix, so several networks can share a bucket.
+// Keys going in and coming out of list() are relative to the prefix
+module.exports = class PrefixedStorage {
+    constructor(storage, prefix) {
+        this._storage = storage;
+        this._prefix = prefix;
+    }
+
+    get(key) {
+        return this._storage.get(this._prefix + key);
+    }
+
+    put(key, body, options) {
+        return this._storage.put(this._prefix + key, body, options);
+    }
+
+    putIfAbsent(key, body, options) {
+        return this._storage.putIfAbsent(this._prefix + key, body, options);
+    }
+
+    list(prefix) {
+        return this._storage.list(this._prefix + prefix)
+            .then(keys => keys.map(key => key.slice(this._prefix.length)));
+    }
+
+    delete(key) {
+        return this._storage.delete(this._prefix + key);
+    }
+};
@@ -0,0 +1,73 @@
+const AWS = require('aws-sdk'); // eslint-disable-line import/no-extraneous-dependencies
+
+module.exports = class S3Storage {
+    constructor(bucket, s3 = new AWS.S3()) {
+        this._bucket = bucket;
+        this._s3 = s3;
+    }
+
+    get(key) {
+        return this._s3.getObject({
+            Bucket: this._bucket,
+            Key: key,
+        }).promise()
+            .then(data => data.Body.toString('utf8'))
+            .catch((e) => {
+                if (e.code === 'NoSuchKey') {
+                    return null;
+                }
+                throw e;
+            });
+    }
+
+    put(key, body, { contentType, cacheControl, isPrivate }) {
+        return this._s3.putObject({
+            Bucket: this._bucket,
+            Key: key,
+            Body: body,
+            ContentType: contentType,
+            ACL: isPrivate ? 'private' : 'public-read',
+            CacheControl: cacheControl,
+        }).promise();
+    }
+
+    putIfAbsent(key, body, { contentType, cacheControl, isPrivate }) {
+        return this._s3.putObject({
+            Bucket: this._bucket,
+            Key: key,
+            Body: body,
+            ContentType: contentType,
+            ACL: isPrivate ? 'private' : 'public-read',
+            CacheControl: cacheControl,
+            IfNoneMatch: '*',
+        }).promise()
+            .then(() => true)
+            .catch((e) => {
+                if (e.code === 'PreconditionFailed' || e.statusCode === 412) {
+                    return false;
+                }
+                throw e;
+            });
+    }
+
+    list(prefix) {
+        const keys = [];
+        const listPage = (ContinuationToken) => this._s3.listObjectsV2({
+            Bucket: this._bucket,
+            Prefix: prefix,
+            ContinuationToken,
+        }).promise()
+            .then((data) => {
+                data.Contents.forEach(({ Key }) => keys.push(Key));
+                return data.IsTruncated ? listPage(data.NextContinuationToken) : keys.sort();
+            });
+        return listPage();
+    }
+
+    delete(key) {
+        return this._s3.deleteObject({
+            Bucket: this._bucket,
+            Key: key,
+        }).promise();
+    }
+};
@@ -0,0 +1,137 @@
+const Promise = require('bluebird');
+const _ = require('lodash');
+const { fileOptions } = require('./storage');
+const envNumber = require('./utils/env-number');
+
+// Snapshots of the published ticker.json in v1/archive/YYYY/MM/DD/HHmm.json and a rollup per day
+// in v1/archive/rollups/YYYY/MM/DD.json, all in UTC
+const ARCHIVE_PREFIX = 'v1/archive/';
+const ROLLUP_PREFIX = `${ARCHIVE_PREFIX}rollups/`;
+
+const DAY = 1000 * 60 * 60 * 24;
+// Every snapshot is kept for ARCHIVE_MINUTE_DAYS, then one snapshot per hour until ARCHIVE_HOURLY_DAYS.
+// Older snapshots are deleted, the rollups are kept
+const MINUTE_DAYS = envNumber('ARCHIVE_MINUTE_DAYS', 2);
+const HOURLY_DAYS = envNumber('ARCHIVE_HOURLY_DAYS', 30);
+// Days past each limit that are looked at on every run, so a few days without runs don't leave snapshots behind
+const COMPACTION_WINDOW_DAYS = 3;
+// Compacting a full day deletes ~1400 snapshots, it is spread over a few runs
+const MAX_DELETES_PER_RUN = 300;
+
+function pad(value) {
+    return _.padStart(value, 2, '0');
+}
+
+function datePath(time) {
+    const date = new Date(time);
+    return `${date.getUTCFullYear()}/${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}`;
+}
+
+function snapshotKey(time) {
+    const date = new Date(time);
+    return `${ARCHIVE_PREFIX}${datePath(time)}/${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}.json`;
+}
+
+function rollupKey(time) {
+    return `${ROLLUP_PREFIX}${datePath(time)}.json`;
+}
+
+function putFile(storage, key, body) {
+    return storage.put(key, body, fileOptions(key));
+}
+
+function runningAverage(average, samples, value) {
+    return average === null ? value : average + (value - average) / (samples + 1);
+}
+
+function updateRange(range, value) {
+    return range ? {
+        open: range.open,
+        close: value,
+        min: Math.min(range.min, value),
+        max: Math.max(range.max, value),
+    } : { open: value, close: value, min: value, max: value };
+}
+
+// Adds the assets of a ticker to the rollup of its day. Assets without a price or with stale values are skipped.
+// rollup: { date, assets: { [id]: { samples, price_XLM: { open, close, min, max }, price_USD, avgSpread,
+//     avgDepth10_USD, avgActivityScore } } }
+function addToRollup(rollup, ticker) {
+    const next = _.cloneDeep(rollup);
+    ticker.assets.forEach((asset) => {
+        if (asset.price_XLM === undefined || asset.stale) {
+            return;
+        }
+        const entry = next.assets[asset.id] || {
+            samples: 0,
+            price_XLM: null,
+            price_USD: null,
+            avgSpread: null,
+            avgDepth10_USD: null,
+            avgActivityScore: null,
+        };
+        const average = (current, value) => (_.isFinite(value) ? runningAverage(current, entry.samples, value) : current);
+        next.assets[asset.id] = {
+            samples: entry.samples + 1,
+            price_XLM: updateRange(entry.price_XLM, asset.price_XLM),
+            price_USD: updateRange(entry.price_USD, asset.price_USD),
+            avgSpread: average(entry.avgSpread, asset.spread),
+            avgDepth10_USD: average(entry.avgDepth10_USD, asset.depth10_USD),
+            avgActivityScore: average(entry.avgActivityScore, asset.activityScore),
+        };
+    });
+    next.updated = ticker._meta.start;
+    return next;
+}
+
+function updateRollup(storage, ticker, time) {
+    const key = rollupKey(time);
+    return storage.get(key)
+        .then(data => (data ? JSON.parse(data) : null))
+        .catch(() => null)
+        .then(rollup => putFile(storage, key, JSON.stringify(addToRollup(rollup || { date: datePath(time).replace(/\//g, '-'), assets: {} }, ticker))));
+}
+
+// Snapshots of the days past the limits that have to go: every snapshot past HOURLY_DAYS,
+// all but the first snapshot of each hour past MINUTE_DAYS
+function compactionDeletes(storage, now) {
+    const dayPrefix = daysAgo => `${ARCHIVE_PREFIX}${datePath(now - daysAgo * DAY)}/`;
+    const windowDays = limit => _.range(limit + 1, limit + COMPACTION_WINDOW_DAYS + 1);
+    return Promise.all([
+        Promise.all(windowDays(HOURLY_DAYS).map(day => storage.list(dayPrefix(day)))),
+        Promise.all(windowDays(MINUTE_DAYS).map(day => storage.list(dayPrefix(day)))),
+    ]).then(([expiredDays, minuteDays]) => _.flatten(expiredDays).concat(_.flatMap(minuteDays, keys => _.flatMap(
+        _.groupBy(keys, key => key.slice(-9, -7)),
+        hourKeys => hourKeys.slice(1),
+    ))));
+}
+
+function compactArchive(storage, now) {
+    return compactionDeletes(storage, now)
+        .then(keys => Promise.all(keys.slice(0, MAX_DELETES_PER_RUN).map(key => storage.delete(key))));
+}
+
+// Archives a published ticker.json (JSON string), updates the rollup of the day and compacts the old snapshots.
+// A snapshot is never replaced: when two runs start in the same minute the second one isn't archived,
+// nor counted in the rollup
+function archiveTicker(storage, tickerJson) {
+    const ticker = JSON.parse(tickerJson);
+    const time = ticker._meta.start * 1000;
+    const key = snapshotKey(time);
+    return storage.putIfAbsent(key, tickerJson, fileOptions(key))
+        .then(written => written && updateRollup(storage, ticker, time))
+        .then(() => compactArchive(storage, time));
+}
+
+module.exports = {
+    archiveTicker,
+    addToRollup,
+    compactArchive,
+    snapshotKey,
+    rollupKey,
+    ARCHIVE_PREFIX,
+    ROLLUP_PREFIX,
+    MINUTE_DAYS,
+    HOURLY_DAYS,
+    MAX_DELETES_PER_RUN,
+};
@@ -5,39 +5,102 @@ const StellarSdk = require('stellar-sdk');
 const niceRound = require('./utils/niceRound');
 const Logger = require('./utils/logger');
 const hideCMCKey = require('./utils/hide-cmc-key');
-
-const { HORIZON_SERVER, ANCHORS_SERVER } = require('./horizon-server.constant');
+const { getExternalPrice, getFiatRates, getFiatHistory, disagree } = require('./price-sources');
+const activityScore = require('./activity-score');
+const { marketDepth } = require('./utils/market-depth');
+const liquidityPools = require('./liquidity-pools');
+const { loadAssetMetadata, metadataOf } = require('./asset-metadata');
+const { loadAssetSupplies, supplyOf, loadTotalCoins } = require('./asset-supply');
+
+const { ANCHORS_SERVER } = require('./horizon-server.constant');
+const { network } = require('./network');
+const { horizonPool } = require('./horizon-pool');
+const { RunMetrics, runMetrics } = require('./metrics');
+const { filterDirectory } = require('./utils/market-filter');
+const envNumber = require('./utils/env-number');
 
 const directory = require('stellarterm-directory');
 
-Server = new StellarSdk.Server(HORIZON_SERVER, {
-    appName: process.env.APP_NAME,
-});
-
 const TickerLogger = new Logger('Ticker successfully generated');
 const StepLogger = new Logger('Ticker successfully generated');
 StepLogger.setConsoleLogState(false);
+// StepLogger is the archived log of the run, it gets the errors of the detailed log too
+TickerLogger.mirrorErrorsTo(StepLogger);
+
+// Problems that don't fail the run, reported in ticker-state.json. Reset on every run like the loggers
+let degradations = [];
+let failedPairs = [];
+// Circulating and total supply of XLM from the CoinMarketCap quote of phase 1
+let xlmSupply = { circulatingSupply: null, totalSupply: null };
+
+// The run fails when more than this fraction of the pairs fail. Other failed pairs reuse their last published values
+const MAX_FAILED_PAIRS_RATIO = envNumber('MAX_FAILED_PAIRS_RATIO', 0.2);
+
+// Fiat currencies besides USD that assets are priced in, e.g. FIAT_CURRENCIES=EUR,GBP. Empty for none
+const FIAT_CURRENCIES = _.without(_.compact((process.env.FIAT_CURRENCIES === undefined ? 'EUR,GBP,NGN,BRL' : process.env.FIAT_CURRENCIES)
+    .split(',').map(fiat => fiat.trim().toUpperCase())), 'USD');
+
+// Asset fields that come from the trade pair of the asset, reused when the pair fails
+const PAIR_ASSET_FIELDS = [
+    'price_XLM', 'price_USD', 'change24h_XLM', 'change24h_USD', 'volume24h_XLM', 'volume24h_USD',
+    'numTrades24h', '_numTradeRecords24h', 'spread', 'numBids', 'numAsks', 'depth10_XLM', 'depth10_USD',
+    'depthBands', 'slippage',
+];
+
+// Horizon returns at most 200 levels of each side, the default page of 20 is too shallow for the depth bands
+const ORDERBOOK_LIMIT = 200;
+// numBids and numAsks count the first 20 levels only, the activity score bonus for offers is scaled on them
+const COUNTED_OFFERS = 20;
+
+function addDegradation(key, message) {
+    degradations.push({ key, message });
+}
 
 function medianOf3(a, b, c) {
     return [a, b, c].sort()[1];
 }
 
-function tickerGenerator() {
+// v1/metrics.json and the same metrics in the Prometheus text format
+function metricsFiles(success) {
+    const snapshot = runMetrics.snapshot({
+        runId: StepLogger.getRunId(),
+        success,
+        phases: StepLogger.getPhaseDurations(),
+    });
+    return {
+        'v1/metrics.json': JSON.stringify(snapshot),
+        'v1/metrics.txt': RunMetrics.toPrometheus(snapshot),
+    };
+}
+
+// opts.previousTicker is the last published ticker.json, used for the pairs that fail in this run.
+// opts.filter limits the run to some markets (see utils/market-filter), opts.ignoreLog keeps the ticker log off the console
+// Resolves with { files, log, logger }: log is the log of the run so far, logger the run logger the publishing steps
+// log to before the run is archived
+function tickerGenerator(opts = {}) {
     TickerLogger.reset();
     StepLogger.reset();
+    runMetrics.reset();
+    degradations = [];
+    failedPairs = [];
     return Promise.resolve()
-        .then(() => tickerDataGenerator({}))
+        .then(() => tickerDataGenerator(_.pick(opts, ['previousTicker', 'filter', 'ignoreLog'])))
         .then((ticker) => {
             StepLogger.log(`\nTicker generation succeeded`);
+            StepLogger.finish();
             return {
-                files: {
+                files: Object.assign(metricsFiles(true), {
                     'v1/ticker.json': ticker,
                     'v1/ticker-state.json': JSON.stringify({
                         tickerState: 'Ticker successfully generated',
+                        runId: StepLogger.getRunId(),
                         error: null,
+                        degradations,
+                        failedPairs,
                     }),
-                },
-                log: StepLogger.getLogHistory(true),
+                }),
+                log: StepLogger.getRun(true),
+                logger: StepLogger,
             };
         })
         .catch((e) => {
@@ -45,14 +108,19 @@ function tickerGenerator() {
             if (e) {
                 StepLogger.log(JSON.stringify(e), e.message || '', e.detail || '');
             }
+            StepLogger.finish();
             return {
-                files: {
+                files: Object.assign(metricsFiles(false), {
                     'v1/ticker-state.json': hideCMCKey(JSON.stringify({
                         tickerState: 'Ticker generation failed',
+                        runId: StepLogger.getRunId(),
                         error: e,
+                        degradations,
+                        failedPairs,
                     })),
-                },
-                log: StepLogger.getLogHistory(),
+                }),
+                log: StepLogger.getRun(),
+                logger: StepLogger,
             };
         });
 }
@@ -60,22 +128,40 @@ function tickerGenerator() {
 function tickerDataGenerator(opts) {
     const { ignoreLog } = opts;
     TickerLogger.setConsoleLogState(!ignoreLog);
+    let previousTicker = null;
+    try {
+        previousTicker = opts.previousTicker ? JSON.parse(opts.previousTicker) : null;
+    } catch (e) {
+        StepLogger.error(`Previous ticker can't be parsed: ${e.message}`);
+    }
+    xlmSupply = { circulatingSupply: null, totalSupply: null };
     let ticker = {
         _meta: {
             start: Math.floor(Date.now() / 1000),
             startISO: Date(),
             apiLicense: 'Apache-2.0',
+            network: {
+                name: network.name,
+                passphrase: network.passphrase,
+            },
         },
     };
 
     return phase1(ticker)
-        .then(() => loadAssets(ticker))
-        .then(() => phase3(ticker))
+        .then(() => loadAssets(ticker, opts.filter))
+        .then(() => phase3(ticker, previousTicker))
         .then(() => phase4(ticker))
-        .then(() => JSON.stringify(ticker));
+        .then(() => {
+            Object.assign(ticker._meta.horizon, horizonPool.getMeta());
+            if (ticker._meta.horizon.failovers.length) {
+                addDegradation('horizon', `Horizon failed over ${ticker._meta.horizon.failovers.length} times, now using ${ticker._meta.horizon.url}`);
+            }
+            return JSON.stringify(ticker);
+        });
 }
 
 function phase1(ticker) {
+    StepLogger.setPhase('phase1');
     StepLogger.log('\nStart Phase 1');
     return Promise.all([
         getHorizonMain()
@@ -84,7 +170,7 @@ function phase1(ticker) {
                     core_latest_ledger: main.core_latest_ledger,
                     network_passphrase: main.network_passphrase,
                 };
-                StepLogger.log(`Phase 1: getHorizonMain() success. HORIZON_SERVER = ${HORIZON_SERVER}`);
+                StepLogger.log(`Phase 1: getHorizonMain() success. HORIZON_SERVER = ${horizonPool.getServerUrl()}`);
             })
         ,
         getStellarTermDotComVersion()
@@ -111,12 +197,17 @@ function phase1(ticker) {
                 StepLogger.log(`Phase 1: coinmarketcap response received`);
                 if (!cmcTickerJson.data.XLM) {
                     StepLogger.error(`Coinmarketcap missing response: ${JSON.stringify(cmcTickerJson)}`);
+                    addDegradation('coinmarketcap', 'CoinMarketCap retries exhausted, USD_XLM_24hAgo is not available');
                 } else {
                     let cmcStellar = cmcTickerJson.data.XLM.quote.USD;
                     let newPriceRatio = 1 + Number(cmcStellar.percent_change_24h) / 100;
                     let oldPrice = (1 / newPriceRatio) * ticker._meta.externalPrices.USD_XLM;
                     ticker._meta.externalPrices.USD_XLM_24hAgo = _.round(oldPrice, 6);
                     ticker._meta.externalPrices.USD_XLM_change = _.round(cmcStellar.percent_change_24h, 6);
+                    xlmSupply = {
+                        circulatingSupply: cmcTickerJson.data.XLM.circulating_supply || null,
+                        totalSupply: cmcTickerJson.data.XLM.total_supply || null,
+                    };
                     StepLogger.log(`Phase 1: coinmarketcap request success`);
                 }
             }),
@@ -124,17 +215,19 @@ function phase1(ticker) {
 }
 
 function coinmarketcapReqeust(retryCount = 0) {
-    return rp({
+    const uri = 'https://pro-api.coinmarketcap.com/v1/cryptocurrency/quotes/latest?symbol=XLM';
+    return runMetrics.track(uri, () => rp({
         method: 'GET',
-        uri: 'https://pro-api.coinmarketcap.com/v1/cryptocurrency/quotes/latest?symbol=XLM',
+        uri,
         headers: {
             'X-CMC_PRO_API_KEY': process.env.COIN_MARKET_CUP_KEY,
             'User-Agent': 'StellarTerm-Ticker'
         },
         json: true,
         gzip: true,
-    }).then(cmcTickerJson => {
+    })).then(cmcTickerJson => {
         if (!cmcTickerJson.data.XLM && retryCount < 10) {
+            runMetrics.increment('cmcRetries');
             StepLogger.error(`Coinmarketcap missing response: retry attempt ${retryCount + 1}`);
             return new Promise((resolve) => {
                 setTimeout(() => coinmarketcapReqeust(retryCount + 1).then(d => resolve(d)), 1000);
@@ -145,7 +238,8 @@ function coinmarketcapReqeust(retryCount = 0) {
     });
 }
 
-function loadAssets(ticker) {
+function loadAssets(ticker, filter) {
+    StepLogger.setPhase('phase2');
     StepLogger.log(`\nStarting Phase 2: loadAssets()`);
     ticker.assets = [];
 
@@ -161,6 +255,7 @@ function loadAssets(ticker) {
     });
     directory.reset();
     return directory.initializeIssuerOrgs(ANCHORS_SERVER).then(() => {
+        filterDirectory(directory, filter);
         ticker._meta.build_id = directory.buildID;
         _.each(directory.assets, (asset, id) => {
             let r = {};
@@ -172,19 +267,127 @@ function loadAssets(ticker) {
             r.website = directory.anchors[asset.domain].website;
             ticker.assets.push(r);
         });
+        return Promise.all([
+            loadAssetMetadata(ticker.assets),
+            loadAssetSupplies(ticker.assets),
+            loadTotalCoins().catch((e) => {
+                StepLogger.error(`Phase 2: total lumens failed: ${e.message}`);
+                return null;
+            }),
+        ]);
+    }).then(([{ metadata, errors }, { supplies, errors: supplyErrors }, totalCoins]) => {
+        errors.forEach(({ domain, error }) => StepLogger.error(`Phase 2: stellar.toml of ${domain} failed: ${error}`));
+        supplyErrors.forEach(({ asset, error }) => StepLogger.error(`Phase 2: supply of ${asset} failed: ${error}`));
+        runMetrics.set('assets', ticker.assets.length);
+        _.each(ticker.assets, asset => Object.assign(asset, metadataOf(metadata, asset)));
+        _.each(ticker.assets, asset => {
+            if (asset.id === 'XLM-native') {
+                Object.assign(asset, { supply: totalCoins }, xlmSupply);
+            } else {
+                Object.assign(asset, supplyOf(supplies, asset));
+            }
+        });
         StepLogger.log(`Phase 2: completed`);
     });
 }
 
-function phase3(ticker) {
+function isXlmPair(pair) {
+    return new StellarSdk.Asset(pair.baseBuying.code, pair.baseBuying.issuer).isNative() ||
+        new StellarSdk.Asset(pair.counterSelling.code, pair.counterSelling.issuer).isNative();
+}
+
+// Fills bid, ask, spread, price and depth10Amount of the pair.
+// Returns the sums of bid and ask amounts within 10% of the price, or null when a side of the book is empty
+function summarizeOrderbook(pair, res, counterIsNative) {
+    if (res.bids.length === 0 || res.asks.length === 0) {
+        return null;
+    }
+    pair.bid = _.round(res.bids[0].price, 7);
+    pair.ask = _.round(res.asks[0].price, 7);
+    pair.spread = _.round(1 - pair.bid / pair.ask, 4);
+    pair.price = _.round((parseFloat(pair.bid) + parseFloat(pair.ask)) / 2, 7);
+
+    if (pair.spread > 0.4 && counterIsNative) {
+        pair.price = pair.bid;
+    }
+
+    // Depth of the market of both sides
+    let sum10PercentBidAmounts = _.sumBy(res.bids, bid => {
+        if (parseFloat(bid.price) / pair.price >= 0.9) {
+            return parseFloat(bid.amount);
+        }
+        return 0;
+    });
+    let sum10PercentAskAmounts = _.sumBy(res.asks, ask => {
+        if (parseFloat(ask.price) / pair.price <= 1.1) {
+            return parseFloat(ask.amount);
+        }
+        return 0;
+    });
+
+    // We get the min so that it can't be gamed by the issuer making a large sell wall
+    pair.depth10Amount = _.round(Math.min(sum10PercentBidAmounts, sum10PercentAskAmounts));
+    return { sum10PercentBidAmounts, sum10PercentAskAmounts };
+}
+
+// Loads the orderbook and the liquidity pool of a pair. `res` is the orderbook with the pool merged in,
+// it's what the price, depth and slippage are computed from. The pool is described in pair.liquidityPool
+function loadMarket(pair, baseBuying, counterSelling) {
+    return Promise.all([
+        horizonPool.call(server => server.orderbook(baseBuying, counterSelling).limit(ORDERBOOK_LIMIT)),
+        liquidityPools.loadPairPool(baseBuying, counterSelling),
+    ]).then(([orderbook, pool]) => {
+        pair.liquidityPool = pool ? liquidityPools.describePool(pool, baseBuying, counterSelling) : null;
+        return { orderbook, res: liquidityPools.withPool(orderbook, pool) };
+    });
+}
+
+// Replaces the values of a failed pair, and of the assets priced by it, with their last published values
+function useStaleValues(ticker, previousTicker, pairSlug) {
+    ticker.pairs[pairSlug] = _.pick(ticker.pairs[pairSlug], ['baseBuying', 'counterSelling']);
+    const previousPair = previousTicker && previousTicker.pairs && previousTicker.pairs[pairSlug];
+    if (!previousPair || previousPair.price === undefined) {
+        return false;
+    }
+    const staleFields = previous => ({
+        stale: true,
+        lastUpdated: previous.stale ? previous.lastUpdated : previousTicker._meta.start,
+    });
+    Object.assign(ticker.pairs[pairSlug], previousPair, staleFields(previousPair));
+
+    _.each(ticker.assets, asset => {
+        const previousAsset = _.find(previousTicker.assets, { id: asset.id });
+        if (asset.price_XLM !== undefined || !previousAsset || previousAsset.topTradePairSlug !== pairSlug) {
+            return;
+        }
+        Object.assign(asset, _.pick(previousAsset, PAIR_ASSET_FIELDS), staleFields(previousAsset), {
+            topTradePairSlug: pairSlug,
+        });
+    });
+    return true;
+}
+
+// A failing pair doesn't fail the run, it falls back to the last published values
+function isolatePairFailure(ticker, previousTicker, pairSlug, request) {
+    return request.catch((error) => {
+        const message = (error && error.message) || String(error);
+        const stale = useStaleValues(ticker, previousTicker, pairSlug);
+        failedPairs.push({ pair: pairSlug, error: message, stale });
+        addDegradation(`pair:${pairSlug}`, `Pair ${pairSlug} failed${stale ? ', using its last published values' : ''}: ${message}`);
+        StepLogger.error(`Phase 3: pair ${pairSlug} failed${stale ? ', using stale values' : ''}: ${message}`);
+    });
+}
+
+function phase3(ticker, previousTicker) {
+    StepLogger.setPhase('phase3');
     StepLogger.log(`\nStarting Phase 3`);
     ticker.pairs = JSON.parse(JSON.stringify(directory.pairs));
 
+    // Pairs without XLM are priced through the XLM prices of their assets, so they go after all the XLM pairs
+    const xlmPairs = _.pickBy(ticker.pairs, isXlmPair);
+    const crossPairs = _.omitBy(ticker.pairs, isXlmPair);
 
-    let lumenVolumeXLM = 0;
-    let lumenVolumeUSD = 0;
-
-    return Promise.all(_.map(ticker.pairs, (pair, pairSlug) => {
+    return Promise.all(_.map(xlmPairs, (pair, pairSlug) => isolatePairFailure(ticker, previousTicker, pairSlug, Promise.resolve().then(() => {
             let baseBuying = new StellarSdk.Asset(pair.baseBuying.code, pair.baseBuying.issuer);
             let counterSelling = new StellarSdk.Asset(pair.counterSelling.code, pair.counterSelling.issuer);
 
@@ -195,7 +398,7 @@ function phase3(ticker) {
                     issuer: pair.counterSelling.issuer,
                 });
                 asset.topTradePairSlug = pairSlug;
-            } else if (counterSelling.isNative()) {
+            } else {
                 asset = _.find(ticker.assets, {
                     code: pair.baseBuying.code,
                     issuer: pair.baseBuying.issuer,
@@ -203,38 +406,12 @@ function phase3(ticker) {
                 asset.topTradePairSlug = pairSlug;
             }
 
-            return Server.orderbook(baseBuying, counterSelling).call()
-                .then((res) => {
-                    if (res.bids.length === 0 || res.asks.length === 0) {
+            return loadMarket(pair, baseBuying, counterSelling)
+                .then(({ orderbook, res }) => {
+                    if (!summarizeOrderbook(pair, res, counterSelling.isNative())) {
                         return;
                     }
-                    pair.bid = _.round(res.bids[0].price, 7);
-                    pair.ask = _.round(res.asks[0].price, 7);
-                    pair.spread = _.round(1 - pair.bid / pair.ask, 4);
-                    pair.price = _.round((parseFloat(pair.bid) + parseFloat(pair.ask)) / 2, 7);
-
-                    if (pair.spread > 0.4 && counterSelling.isNative()) {
-                        pair.price = pair.bid;
-                    }
-
-                    // Depth of the market of both sides
-                    let sum10PercentBidAmounts = _.sumBy(res.bids, bid => {
-                        if (parseFloat(bid.price) / pair.price >= 0.9) {
-                            return parseFloat(bid.amount);
-                        }
-                        return 0;
-                    });
-                    let sum10PercentAskAmounts = _.sumBy(res.asks, ask => {
-                        if (parseFloat(ask.price) / pair.price <= 1.1) {
-                            return parseFloat(ask.amount);
-                        }
-                        return 0;
-                    });
-
-
-                    // We get the min so that it can't be gamed by the issuer making a large sell wall
-                    pair.depth10Amount = _.round(Math.min(sum10PercentBidAmounts, sum10PercentAskAmounts));
-                    return Server.tradeAggregation(baseBuying, counterSelling, Date.now() - 86400 * 1000, Date.now(), 900000, 0).limit(200).order('desc').call()
+                    return horizonPool.call(server => server.tradeAggregation(baseBuying, counterSelling, Date.now() - 86400 * 1000, Date.now(), 900000, 0).limit(200).order('desc'))
                         .then(trades => {
                             const XLMOldPrice = ticker._meta.externalPrices.USD_XLM_24hAgo;
                             const XLMNewPrice = ticker._meta.externalPrices.USD_XLM;
@@ -257,7 +434,7 @@ function phase3(ticker) {
                                 asset.price_USD = niceRound(1 / pair.price * ticker._meta.externalPrices.USD_XLM);
 
                                 pair.volume24h_XLM = niceRound(_.sumBy(trades.records, record => Number(record.base_volume)));
-                            } else if (counterSelling.isNative()) {
+                            } else {
                                 asset.change24h_XLM = null;
                                 asset.change24h_USD = null;
 
@@ -274,10 +451,6 @@ function phase3(ticker) {
                                     asset.change24h_USD = _.round(100 * (closeUSD / openUSD - 1), 2);
                                 }
                                 pair.volume24h_XLM = niceRound(_.sumBy(trades.records, record => Number(record.counter_volume)));
-                            } else {
-                                // TODO: Add num trades for other trade pairs too
-                                TickerLogger.error('Error: No support in StellarTerm ticker for pairs without XLM. ' + pairSlug);
-                                return;
                             }
 
                             pair.numTrades24h = _.sumBy(trades.records, record => Number(record.trade_count));
@@ -288,17 +461,24 @@ function phase3(ticker) {
 
                             asset.volume24h_XLM = pair.volume24h_XLM;
                             asset.volume24h_USD = niceRound(pair.volume24h_XLM * ticker._meta.externalPrices.USD_XLM);
+                            pair.volume24h_USD = asset.volume24h_USD;
 
                             asset.spread = pair.spread;
-                            lumenVolumeXLM += pair.volume24h_XLM;
-                            lumenVolumeUSD += asset.volume24h_USD;
                             asset.topTradePairSlug = pairSlug;
 
-                            asset.numBids = res.bids.length;
-                            asset.numAsks = res.asks.length;
+                            asset.numBids = Math.min(orderbook.bids.length, COUNTED_OFFERS);
+                            asset.numAsks = Math.min(orderbook.asks.length, COUNTED_OFFERS);
 
                             asset.depth10_XLM = niceRound(pair.depth10Amount);
                             asset.depth10_USD = niceRound(asset.depth10_XLM * ticker._meta.externalPrices.USD_XLM);
+
+                            Object.assign(pair, marketDepth(res, pair.price, {
+                                basePriceXLM: baseBuying.isNative() ? 1 : pair.price,
+                                counterPriceXLM: baseBuying.isNative() ? 1 / pair.price : 1,
+                                USD_XLM: ticker._meta.externalPrices.USD_XLM,
+                            }));
+                            asset.depthBands = pair.depthBands;
+                            asset.slippage = pair.slippage;
                         })
                         .catch((error) => {
                             StepLogger.log(`Phase 3: request fails during tradeAggregation request for pair: ${pair}; slug: ${pairSlug}`);
@@ -309,20 +489,190 @@ function phase3(ticker) {
                     StepLogger.log(`Phase 3: request fails for pair: ${pair}; slug: ${pairSlug}`);
                     return Promise.reject(error);
                 });
-        }))
+        }))))
+        .then(() => {
+            const crossMarkets = {};
+            return Promise.all(_.map(crossPairs, (pair, pairSlug) => isolatePairFailure(ticker, previousTicker, pairSlug,
+                loadCrossMarket(pair, pairSlug).then((market) => {
+                    crossMarkets[pairSlug] = market;
+                }))))
+                .then(() => priceCrossPairs(ticker, crossMarkets));
+        })
         .then(() => {
-            StepLogger.log(`Phase 3: all requests succeeded`);
-            ticker.assets[0].volume24h_XLM = niceRound(lumenVolumeXLM);
-            ticker.assets[0].volume24h_USD = niceRound(lumenVolumeUSD);
+            const pairsCount = _.size(ticker.pairs);
+            runMetrics.set('pairs', pairsCount);
+            runMetrics.set('failedPairs', failedPairs.length);
+            if (failedPairs.length > MAX_FAILED_PAIRS_RATIO * pairsCount) {
+                const error = new Error(`Phase 3: ${failedPairs.length} of ${pairsCount} pairs failed`);
+                error.detail = JSON.stringify(failedPairs);
+                throw error;
+            }
+            StepLogger.log(failedPairs.length ? `Phase 3: ${failedPairs.length} pairs failed` : `Phase 3: all requests succeeded`);
+            // Summed in the order of the pairs rather than the order of the responses so that runs are reproducible.
+            // The XLM volume of the cross pairs is part of the lumen totals: each trade belongs to a single pair,
+            // so it's counted once whichever of its assets is XLM
+            const tradedPairs = _.filter(ticker.pairs, pair => pair.volume24h_XLM !== undefined);
+            ticker.assets[0].volume24h_XLM = niceRound(_.sumBy(tradedPairs, 'volume24h_XLM'));
+            ticker.assets[0].volume24h_USD = niceRound(_.sumBy(tradedPairs, 'volume24h_USD'));
+
+            _.each(ticker.assets, asset => {
+                asset.liquidityPools = [];
+                _.each(ticker.pairs, (pair, pairSlug) => {
+                    const sides = [pair.baseBuying, pair.counterSelling];
+                    if (pair.liquidityPool && _.some(sides, side => side.code === asset.code && side.issuer === asset.issuer)) {
+                        asset.liquidityPools.push(Object.assign({ pairSlug }, pair.liquidityPool));
+                    }
+                });
+            });
+        });
+}
+
+// Pairs where neither side is XLM. Their orderbook and trades are loaded in parallel, their XLM values are
+// triangulated afterwards in priceCrossPairs. Resolves to null for a pair without orderbook
+function loadCrossMarket(pair, pairSlug) {
+    let baseBuying = new StellarSdk.Asset(pair.baseBuying.code, pair.baseBuying.issuer);
+    let counterSelling = new StellarSdk.Asset(pair.counterSelling.code, pair.counterSelling.issuer);
+
+    return loadMarket(pair, baseBuying, counterSelling)
+        .then((market) => {
+            const sums = summarizeOrderbook(pair, market.res, false);
+            if (!sums) {
+                return null;
+            }
+            return horizonPool.call(server => server.tradeAggregation(baseBuying, counterSelling, Date.now() - 86400 * 1000, Date.now(), 900000, 0).limit(200).order('desc'))
+                .then(trades => Object.assign({ sums, trades }, market))
+                .catch((error) => {
+                    StepLogger.log(`Phase 3: request fails during tradeAggregation request for pair: ${pair}; slug: ${pairSlug}`);
+                    return Promise.reject(error);
+                });
+        })
+        .catch((error) => {
+            StepLogger.log(`Phase 3: request fails for pair: ${pair}; slug: ${pairSlug}`);
+            return Promise.reject(error);
         });
 }
 
+// A cross pair can price an asset that is a leg of another cross pair, so the result depends on the order they are
+// priced in. They go one by one in the order of their slugs, whatever order the responses came in, and a pair with
+// no priced leg is retried once a later pair has priced one of its assets
+function priceCrossPairs(ticker, markets) {
+    let pending = Object.keys(markets).filter(pairSlug => markets[pairSlug]).sort();
+    let pendingCount;
+    do {
+        pendingCount = pending.length;
+        pending = pending.filter(pairSlug => !priceCrossPair(ticker, ticker.pairs[pairSlug], pairSlug, markets[pairSlug]));
+    } while (pending.length && pending.length < pendingCount);
+    pending.forEach(pairSlug => TickerLogger.error('Error: Unable to triangulate XLM price, no leg has an XLM price. ' + pairSlug));
+}
+
+// An asset that has no XLM pair of its own gets its price from the other leg of the pair.
+// Returns false when neither leg has an XLM price yet
+function priceCrossPair(ticker, pair, pairSlug, { orderbook, res, sums, trades }) {
+    let baseAsset = _.find(ticker.assets, { code: pair.baseBuying.code, issuer: pair.baseBuying.issuer });
+    let counterAsset = _.find(ticker.assets, { code: pair.counterSelling.code, issuer: pair.counterSelling.issuer });
+    const USD_XLM = ticker._meta.externalPrices.USD_XLM;
+
+    let basePriceXLM = baseAsset.price_XLM;
+    let counterPriceXLM = counterAsset.price_XLM;
+    if (basePriceXLM === undefined && counterPriceXLM === undefined) {
+        return false;
+    }
+    if (basePriceXLM === undefined) {
+        basePriceXLM = pair.price * counterPriceXLM;
+    }
+    if (counterPriceXLM === undefined) {
+        counterPriceXLM = basePriceXLM / pair.price;
+    }
+
+    pair.price_XLM = niceRound(basePriceXLM);
+    pair.price_USD = niceRound(basePriceXLM * USD_XLM);
+
+    // Only the base side of the trades is counted, the counter side is the same value
+    pair.volume24h_XLM = niceRound(_.sumBy(trades.records, record => Number(record.base_volume)) * basePriceXLM);
+    pair.volume24h_USD = niceRound(pair.volume24h_XLM * USD_XLM);
+    pair.numTrades24h = _.sumBy(trades.records, record => Number(record.trade_count));
+
+    // Bids are offers selling the counter asset, asks are offers selling the base asset
+    pair.depth10_XLM = niceRound(Math.min(
+        sums.sum10PercentBidAmounts * counterPriceXLM,
+        sums.sum10PercentAskAmounts * basePriceXLM,
+    ));
+    pair.depth10_USD = niceRound(pair.depth10_XLM * USD_XLM);
+    Object.assign(pair, marketDepth(res, pair.price, { basePriceXLM, counterPriceXLM, USD_XLM }));
+
+    TickerLogger.log('Phase 3: ', _.padEnd(pairSlug, 40), _.padStart(pair.numTrades24h + ' trades', 12), _.padStart(pair.price_XLM + ' XLM', 14), _.padStart('$' + pair.price_USD.toFixed(2), 9), _.padStart(trades.records.length, 4) + ' records');
+
+    [[baseAsset, basePriceXLM], [counterAsset, counterPriceXLM]].forEach(([asset, priceXLM]) => {
+        // Assets with an XLM pair keep the values of that pair
+        if (asset.price_XLM !== undefined) {
+            return;
+        }
+        asset.price_XLM = niceRound(priceXLM);
+        asset.price_USD = niceRound(priceXLM * USD_XLM);
+        asset.change24h_XLM = null;
+        asset.change24h_USD = null;
+        asset.numTrades24h = pair.numTrades24h;
+        asset._numTradeRecords24h = trades.records.length;
+        asset.volume24h_XLM = pair.volume24h_XLM;
+        asset.volume24h_USD = pair.volume24h_USD;
+        asset.spread = pair.spread;
+        asset.topTradePairSlug = pairSlug;
+        asset.numBids = Math.min(orderbook.bids.length, COUNTED_OFFERS);
+        asset.numAsks = Math.min(orderbook.asks.length, COUNTED_OFFERS);
+        asset.depth10_XLM = pair.depth10_XLM;
+        asset.depth10_USD = pair.depth10_USD;
+        asset.depthBands = pair.depthBands;
+        asset.slippage = pair.slippage;
+    });
+    return true;
+}
+
 function phase4(ticker) {
+    StepLogger.setPhase('phase4');
     StepLogger.log(`\nStarting Phase 4`);
+    const config = activityScore.loadConfig();
+    ticker._meta.activityScore = {
+        strategy: config.strategy,
+        explanation: 'spreadPenalty * (bonuses + depth + volume + numTrades)',
+    };
+
+    // Market capitalisation of XLM is based on the circulating supply, other assets count their whole supply
+    _.each(ticker.assets, asset => {
+        const supply = asset.id === 'XLM-native' ? asset.circulatingSupply : asset.supply;
+        const hasMarketCap = supply !== null && supply !== undefined && asset.price_XLM !== undefined;
+        asset.marketCap_XLM = hasMarketCap ? niceRound(supply * asset.price_XLM) : null;
+        asset.marketCap_USD = hasMarketCap ? niceRound(supply * asset.price_USD) : null;
+    });
+
+    // Prices in other fiat currencies are converted from USD with the current rates. The 24h change also counts
+    // the change of the rate, it is null without a rate of 24h ago
+    _.each(ticker._meta.externalPrices, (rate, key) => {
+        const fiat = key.endsWith('_USD') && key.slice(0, -4);
+        if (FIAT_CURRENCIES.indexOf(fiat) === -1) {
+            return;
+        }
+        _.each(ticker.assets, asset => {
+            if (asset.price_USD === undefined) {
+                return;
+            }
+            asset[`price_${fiat}`] = niceRound(asset.price_USD * rate);
+            if (asset.volume24h_USD !== undefined) {
+                asset[`volume24h_${fiat}`] = niceRound(asset.volume24h_USD * rate);
+            }
+            if (asset.change24h_USD !== undefined) {
+                const pastRate = ticker._meta.externalPrices[`${fiat}_USD_24hAgo`];
+                asset[`change24h_${fiat}`] = asset.change24h_USD !== null && pastRate ?
+                    _.round(100 * ((1 + asset.change24h_USD / 100) * (rate / pastRate) - 1), 2) :
+                    null;
+            }
+        });
+    });
+
     // Assign a score to each asset
     _.each(ticker.assets, asset => {
+        asset.activityScoreBreakdown = null;
         if (asset.id === 'XLM-native') {
-            asset.activityScore = 100;
+            asset.activityScore = config.nativeScore;
             return;
         }
         // Has orderbook info relating to XLM
@@ -331,63 +681,19 @@ function phase4(ticker) {
             return;
         }
 
-        // Having the full amount of 20 bids and asks on each side is important since
-        // it makes the market look like there is activity
-        // It's a flat improvement so that even those without market makers can improve their ranking
-        let numOffersScore = (asset.numBids + asset.numAsks) / 20; // [0,2]
-
-        // A bonus for having an average of up to 12 trade every 24 hours. Adds
-        // more detail to the charts. However, we don't want to overemphasize taking
-        // This is again to help assets with little activity
-        let constantActivityBonus = Math.min(12, asset._numTradeRecords24h) / 24; // [0,0.5]
-
-        // It's nice to at least show that there is something happening.
-        // Just $100 volume gets the asset a nice bonus
-        let nonzeroVolumeBonus = Math.min(1, asset.volume24h_USD / 100); // [0,1]
-
-        let bonuses = numOffersScore + constantActivityBonus + nonzeroVolumeBonus;
-
-        // For assets to do well, they don't need to have all the metrics so that
-        // assets that dont do well in one category won't get punished.
-
-        // Having good depth is SUPER important
-        // Use a lower base log to make it easier to get depth points
-        let depth10Score = 0.5 * (Math.log(2 + asset.depth10_USD) / Math.log(2) - 1); // [0, infinity]
-
-        // Lets also add a linear component to depth score.
-        // Again, we are emphasizing depth. Cap it at $100k.
-        // $50k depth should cover the bases of small users.
-        depth10Score += Math.min(10, asset.depth10_USD / 10000); // += [0, 10]
-
-        // Volume really helps! However, it's not as important as depth especially
-        // since there are no pecentage fees on the Stellar network
-        let volumeScore = Math.log(4 + asset.volume24h_USD) / Math.log(4) - 1; // [0, infinity]
-
-        // numTrades is helpful too. Especially the first few num trades are important!
-        // But we want to encourage depth more than market taking
-        let numTradesScore = Math.log(4 + asset.numTrades24h) / Math.log(4) - 1; // log4(numTrades24h)
-
-        // But numTrades doesn't really give us a picture of how active it is.
-        // We want to look even more at how much percentage of the day there is activity
-        // Constant activity is best
-        numTradesScore += Math.min(7, asset._numTradeRecords24h / 8); // += [0,7]
-
-        // We want the score to be slightly more stable, so just a little spread can negatively influence
-        // It's also a easy fix for issuers. With a big spread, the other stuff is kinda useless
-        // Helps distinguish between assets that only have offers and nothing much else
-        let spreadPenalty = Math.pow((1 - asset.spread), 3); // range: [0,1]
-
-        asset.activityScore = spreadPenalty * (bonuses + depth10Score + volumeScore + numTradesScore);
-        TickerLogger.log('Phase 4: ', _.padEnd(asset.slug, 25), 'Score:', _.padStart(_.round(asset.activityScore, 3), 6), ' Inputs:', spreadPenalty.toFixed(3) + ' * (',
-            _.padStart(bonuses.toFixed(3), 6), '+',
-            _.padStart(depth10Score.toFixed(3), 6), '+',
-            _.padStart(volumeScore.toFixed(3), 6), '+',
-            _.padStart(numTradesScore.toFixed(3), 6), '+',
+        const breakdown = activityScore.scoreBreakdown(asset, config);
+        asset.activityScore = activityScore.scoreFromBreakdown(breakdown);
+        asset.activityScoreBreakdown = _.mapValues(breakdown, value => _.round(value, 3));
+        TickerLogger.log('Phase 4: ', _.padEnd(asset.slug, 25), 'Score:', _.padStart(_.round(asset.activityScore, 3), 6), ' Inputs:', breakdown.spreadPenalty.toFixed(3) + ' * (',
+            _.padStart(breakdown.bonuses.toFixed(3), 6), '+',
+            _.padStart(breakdown.depth.toFixed(3), 6), '+',
+            _.padStart(breakdown.volume.toFixed(3), 6), '+',
+            _.padStart(breakdown.numTrades.toFixed(3), 6), '+',
             ')',
         );
     });
 
-    TickerLogger.log('Phase 4 explanation: spreadPenalty * (bonuses + depth10Score + volumeScore + numTradesScore)');
+    TickerLogger.log(`Phase 4 explanation (${config.strategy}): spreadPenalty * (bonuses + depth + volume + numTrades)`);
 
     ticker.assets.sort((a, b) => {
         return b.activityScore - a.activityScore;
@@ -401,114 +707,62 @@ function phase4(ticker) {
 
 function getExternalPrices() {
     return Promise.all([
-            getBtcPrice(),
-            getLumenPrice(),
+            getExternalPrice('USD_BTC'),
+            getExternalPrice('BTC_XLM'),
+            getFiatRates(FIAT_CURRENCIES),
+            getFiatHistory(FIAT_CURRENCIES, Date.now() - 86400 * 1000),
         ])
-        .then(externalData => {
+        .then(([btcPrice, lumenPrice, fiatRates, fiatHistory]) => {
             StepLogger.log(`Phase 1: getExternalPrices() success`);
-            return {
-                USD_BTC: externalData[0],
-                BTC_XLM: externalData[1],
-                USD_XLM: _.round(externalData[0] * externalData[1], 6),
+            const results = Object.assign({ USD_BTC: btcPrice, BTC_XLM: lumenPrice },
+                _.mapKeys(fiatRates, (rate, fiat) => `${fiat}_USD`));
+            _.each(results, ({ rejected }, pair) => {
+                rejected.forEach(({ source, reason }) => {
+                    addDegradation(`priceSource:${source}:${pair}`, `External price source ${source} rejected for ${pair}: ${reason}`);
+                });
+            });
+            TickerLogger.log('Phase 1: BTC price = $' + btcPrice.price);
+            TickerLogger.log('Phase 1: XLM price ' + lumenPrice.price + ' XLM/BTC');
+            const externalPrices = {
+                USD_BTC: btcPrice.price,
+                BTC_XLM: lumenPrice.price,
+                USD_XLM: _.round(btcPrice.price * lumenPrice.price, 6),
+                sources: _.mapValues(results, result => _.omit(result, 'price')),
             };
-        });
-}
-
-function getBtcPrice() {
-    return Promise.all([
-            rp('https://api.coindesk.com/v1/bpi/currentprice.json')
-                .then(data => {
-                    let price = _.round(JSON.parse(data).bpi.USD.rate_float, 3);
-                    TickerLogger.log('Phase 1: Coindesk BTC price ', price);
-                    return price;
-                })
-                .catch(() => {
-                    return null;
-                })
-            ,
-            rp('https://api.bitfinex.com/v2/ticker/tBTCUSD')
-                .then(data => {
-                    let price = _.round(JSON.parse(data)[2], 3);
-                    TickerLogger.log('Phase 1: Bitfinex BTC price ', price);
-                    return price;
-                })
-                .catch(() => {
-                    return null;
-                })
-            ,
-            rp('https://api.coinbase.com/v2/prices/spot?currency=USD')
-                .then(data => {
-                    let price = _.round(JSON.parse(data).data.amount, 3);
-                    TickerLogger.log('Phase 1: Coinbase BTC price ', price);
-                    return price;
-                })
-                .catch(() => {
-                    return null;
-                })
-            ,
-            rp('https://api.kraken.com/0/public/Ticker?pair=XBTUSD')
-                .then(data => {
-                    let price = _.round(JSON.parse(data).result.XXBTZUSD.c[0], 3);
-                    TickerLogger.log('Phase 1: Kraken   BTC price ', price);
-                    return price;
-                })
-                .catch(() => {
-                    return null;
-                }),
-        ])
-        .then(allPrices => {
-            let btcPrice = _.round(_.mean(_.filter(allPrices, price => price !== null)), 2);
-            TickerLogger.log('Phase 1: BTC price = $' + btcPrice);
-            return btcPrice;
-        });
-}
-
-// Get lumen price in terms of btc
-function getLumenPrice() {
-    return Promise.all([
-            rp('https://poloniex.com/public?command=returnTicker')
-                .then(data => {
-                    return parseFloat(JSON.parse(data).BTC_STR.last);
-                })
-                .catch(() => {
-                    return null;
-                })
-            ,
-            rp('https://bittrex.com/api/v1.1/public/getticker?market=BTC-XLM')
-                .then(data => {
-                    return parseFloat(JSON.parse(data).result.Last);
-                })
-                .catch(() => {
-                    return null;
-                })
-            ,
-            rp('https://api.kraken.com/0/public/Ticker?pair=XLMXBT')
-                .then(data => {
-                    return parseFloat(JSON.parse(data).result.XXLMXXBT.c[0]);
-                })
-                .catch(() => {
-                    return null;
-                }),
-        ])
-        .then(allPrices => {
-            let xlmPrice = _.round(_.mean(_.filter(allPrices, price => price !== null)), 8);
-            TickerLogger.log('Phase 1: XLM price ' + xlmPrice + ' XLM/BTC');
-            return xlmPrice;
+            _.each(fiatRates, ({ price }, fiat) => {
+                if (price === null) {
+                    addDegradation(`fiat:${fiat}`, disagree(fiatRates[fiat]) ?
+                        `Exchange rate sources disagree on ${fiat}, prices in ${fiat} are left out` :
+                        `No usable exchange rate for ${fiat}, prices in ${fiat} are left out`);
+                    return;
+                }
+                externalPrices[`${fiat}_USD`] = price;
+                externalPrices[`${fiat}_XLM`] = _.round(externalPrices.USD_XLM * price, 6);
+                // The rate of 24h ago moves the current rate back by the change of one source over the day,
+                // so the spread between the sources doesn't count as a change
+                const past = fiatHistory[fiat];
+                const current = past && _.find(fiatRates[fiat].used, { source: past.source });
+                if (current) {
+                    externalPrices[`${fiat}_USD_24hAgo`] = _.round(price * past.price / current.price, 6);
+                } else {
+                    TickerLogger.log(`Phase 1: no rate of 24h ago for ${fiat}, change24h_${fiat} is null`);
+                }
+            });
+            return externalPrices;
         });
 }
 
 function getHorizonMain() {
-    return rp(HORIZON_SERVER)
-        .then(horizonMainJson => {
-            let horizonMain = JSON.parse(horizonMainJson);
-            TickerLogger.log('Phase 1: Horizon at ledger #' + horizonMain.core_latest_ledger);
+    return horizonPool.selectServer()
+        .then(horizonMain => {
+            TickerLogger.log('Phase 1: Horizon ' + horizonPool.getServerUrl() + ' at ledger #' + horizonMain.core_latest_ledger);
             return horizonMain;
         });
 }
 
 function getStellarTermDotComVersion() {
     TickerLogger.log('Phase 1: Fetching stellarterm.com');
-    return rp('https://stellarterm.com/')
+    return runMetrics.track('https://stellarterm.com/', () => rp('https://stellarterm.com/'))
         .then(indexHtml => {
             let search = indexHtml.match(/stBuildInfo=\{version:(\d+)/);
             if (search.length === 2) {
@@ -516,11 +770,9 @@ function getStellarTermDotComVersion() {
                 return search[1];
             }
             TickerLogger.error('Phase 1: Unable to find version');
-            StepLogger.error(`---------------> Phase 1: getStellarTermDotComVersion() error`);
             return -1; // Return 0 when couldn't find anything
         })
         .catch(err => {
-            StepLogger.error(`---------------> Phase 1: getStellarTermDotComVersion() error ${err.message}`);
             TickerLogger.error('Phase 1 StellarTerm.com version error: ' + err.message);
             return -1;
         });
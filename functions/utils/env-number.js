@@ -0,0 +1,15 @@
+const _ = require('lodash');
+
+// A number setting from the environment. Unset and empty give the default (serverless.yml passes '' for
+// variables that aren't set), so that 0 is a valid setting. Anything else than a number is a configuration error
+module.exports = function envNumber(name, defaultValue) {
+    const value = process.env[name];
+    if (value === undefined || value.trim() === '') {
+        return defaultValue;
+    }
+    const number = Number(value);
+    if (!_.isFinite(number)) {
+        throw new Error(`${name} is not a number: ${value}`);
+    }
+    return number;
+};
@@ -1,5 +1,11 @@
+const _ = require('lodash');
+
 const CMC_REG = /(?<="X-CMC_PRO_API_KEY":\s*")[^"]+(?=")/g;
+const MASK = 'XXX-XXX-XXX';
 
+// Masks the CoinMarketCap key in a request header dump, and the key itself wherever else it shows up
 module.exports = function(string) {
-   return string .replace(CMC_REG, 'XXX-XXX-XXX');
+    const masked = string.replace(CMC_REG, MASK);
+    const key = process.env.COIN_MARKET_CUP_KEY;
+    return key ? masked.replace(new RegExp(_.escapeRegExp(key), 'g'), MASK) : masked;
 };
@@ -1,67 +1,136 @@
+const crypto = require('crypto');
+const _ = require('lodash');
 const hideCMCKey = require('./hide-cmc-key');
 
-const LOG_PERIOD = 1000 * 60 * 60 * 24;
-const DIVIDER_SIGN = '*';
-const DIVIDER_COUNT = 5;
-const DIVIDER = DIVIDER_SIGN.repeat(DIVIDER_COUNT);
-const LIST_REG_EXP = new RegExp(`\\${DIVIDER_SIGN}{${DIVIDER_COUNT}}(.|\\s)+?\\${DIVIDER_SIGN}{${DIVIDER_COUNT}}`, 'g');
+const DIVIDER = '*'.repeat(5);
 
+// Keeps the log of a run as entries { timestamp, level, phase, runId, message, duration }.
+// duration (ms) is only set on the entries that close a phase or the run
 module.exports = class Logger {
     constructor(shortSuccessMessage = 'Success') {
         this._shortMessage = shortSuccessMessage;
-        this._logHistory = '';
-        this._startingMessage = '';
+        this._entries = [];
         this._logInConsole = true;
         this._errorsExists = false;
-        this._shortMessage = '';
-    }
-
-    getLogHistory(shortOnSuccess) {
-        const message = shortOnSuccess && !this._errorsExists ? this._shortMessage : hideCMCKey(this._logHistory.trim());
-        return `${DIVIDER}\n${this._startingMessage}\n\n${message}\n${DIVIDER}`;
+        this._errorMirror = null;
+        this.reset();
     }
 
     reset() {
-        this._startingMessage = Logger.generateStartMessage(new Date().toISOString());
-        this._logHistory = '';
+        this._start = Date.now();
+        this._runId = Logger.generateRunId(this._start);
+        this._phase = null;
+        this._phaseStart = this._start;
+        this._entries = [];
         this._errorsExists = false;
     }
 
+    getRunId() {
+        return this._runId;
+    }
+
+    // Entries logged from now on belong to the phase, the previous phase is closed with its duration
+    setPhase(phase) {
+        this._closePhase();
+        this._phase = phase;
+        this._phaseStart = Date.now();
+    }
+
+    // Closes the current phase and the run
+    finish() {
+        this._closePhase();
+        this._phase = null;
+        this._push('info', 'Run finished', Date.now() - this._start);
+    }
+
     log(...args) {
         if (this._logInConsole) {
             console.log(...args);
         }
-        args.forEach((message) => {
-            this._logHistory += `\n${message}`;
-        });
+        this._push('info', args.join(' '));
     }
 
     error(...args) {
         if (this._logInConsole) {
             console.error(...args);
         }
-        args.forEach((message) => {
-            this._logHistory += `\n\nvvv  ERROR  vvv\n${message}`;
-        });
+        this._push('error', args.join(' '));
         this._errorsExists = true;
+        if (this._errorMirror) {
+            this._errorMirror.error(...args);
+        }
+    }
+
+    // Errors are also logged to the other logger, e.g. those of a console log to the archived log of the run
+    mirrorErrorsTo(logger) {
+        this._errorMirror = logger;
+    }
+
+    // Durations in ms of the phases closed so far
+    getPhaseDurations() {
+        return _.fromPairs(this._entries
+            .filter(entry => entry.phase && entry.duration !== undefined)
+            .map(entry => [entry.phase, entry.duration]));
     }
 
     setConsoleLogState(state) {
         this._logInConsole = state;
     }
 
+    // The entries with secrets masked in every field
+    getEntries() {
+        return this._entries.map(entry => _.mapValues(entry, value => (typeof value === 'string' ? hideCMCKey(value) : value)));
+    }
+
+    // Rendered text of the run, only the short message when asked and nothing went wrong
+    getLogHistory(shortOnSuccess) {
+        const lines = shortOnSuccess && !this._errorsExists
+            ? [this._shortMessage]
+            : this.getEntries().map(Logger.renderEntry);
+        return `${DIVIDER}\n${Logger.generateStartMessage(new Date(this._start).toISOString())}\n\n${lines.join('\n')}\n${DIVIDER}`;
+    }
+
+    // { runId, start, failed, entries, text } of the run for the log archive
+    getRun(shortOnSuccess) {
+        return {
+            runId: this._runId,
+            start: this._start,
+            failed: this._errorsExists,
+            entries: this.getEntries(),
+            text: this.getLogHistory(shortOnSuccess),
+        };
+    }
+
+    _closePhase() {
+        if (this._phase) {
+            this._push('info', `${this._phase} finished`, Date.now() - this._phaseStart);
+        }
+    }
+
+    _push(level, message, duration) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level,
+            phase: this._phase,
+            runId: this._runId,
+            message: message.trim(),
+        };
+        if (duration !== undefined) {
+            entry.duration = duration;
+        }
+        this._entries.push(entry);
+    }
+
+    static generateRunId(start) {
+        return `${new Date(start).toISOString().replace(/[-:]|\.\d+/g, '')}-${crypto.randomBytes(3).toString('hex')}`;
+    }
+
     static generateStartMessage(date) {
         return `Start Logging at ${date}  -------------------->`;
     }
 
-    static prepareLog(logList) {
-        const DATE_REG = new RegExp(Logger.generateStartMessage('(.+?)'));
-        return logList.match(LIST_REG_EXP).filter((logItem) => {
-            const matchResult = logItem.match(DATE_REG);
-            const stringDate = matchResult && matchResult[1] || '';
-            const logDate = new Date(stringDate).getTime();
-            const currentDate = Date.now();
-            return !isNaN(logDate) && logDate > currentDate - LOG_PERIOD;
-        }).join('\n\n\n');
+    static renderEntry({ timestamp, level, phase, message, duration }) {
+        const prefix = `${timestamp} ${_.padEnd(level.toUpperCase(), 5)}${phase ? ` [${phase}]` : ''}`;
+        return `${prefix} ${message}${duration !== undefined ? ` (${duration} ms)` : ''}`;
     }
 };
@@ -0,0 +1,75 @@
+const _ = require('lodash');
+const niceRound = require('./niceRound');
+
+// Distances from the price, as fractions, at which the depth of each side is measured
+const DEPTH_BANDS = [0.01, 0.02, 0.05, 0.1];
+// Order sizes in USD of the slippage estimates
+const SLIPPAGE_SIZES_USD = [1000, 10000, 100000];
+
+// Bids are offers selling the counter asset, so their amount is in the counter asset. Asks are in the base asset.
+// Returns the levels of both sides as { price, base, counter } numbers
+function levels(orderbook) {
+    return {
+        bids: orderbook.bids.map(({ price, amount }) => ({
+            price: parseFloat(price),
+            base: parseFloat(amount) / parseFloat(price),
+            counter: parseFloat(amount),
+        })),
+        asks: orderbook.asks.map(({ price, amount }) => ({
+            price: parseFloat(price),
+            base: parseFloat(amount),
+            counter: parseFloat(amount) * parseFloat(price),
+        })),
+    };
+}
+
+// Walks one side of the book until `baseAmount` of the base asset is filled.
+// Returns how much the average fill price is off the price, or null when the book is not deep enough
+function walk(side, baseAmount, price, isBuy) {
+    let filledBase = 0;
+    let filledCounter = 0;
+    _.each(side, (level) => {
+        const base = Math.min(level.base, baseAmount - filledBase);
+        filledBase += base;
+        filledCounter += base * level.price;
+        return filledBase < baseAmount;
+    });
+    if (filledBase < baseAmount) {
+        return null;
+    }
+    const averagePrice = filledCounter / filledBase;
+    return _.round(isBuy ? averagePrice / price - 1 : 1 - averagePrice / price, 4);
+}
+
+// Depth of each side within the bands around the price, and the slippage of market orders of the standard sizes.
+// basePriceXLM and counterPriceXLM value the two assets of the pair in XLM.
+// Returns { depthBands: { '1%': { bids_XLM, asks_XLM, bids_USD, asks_USD }, ... },
+//     slippage: { '1000': { buy, sell }, ... } }
+function marketDepth(orderbook, price, { basePriceXLM, counterPriceXLM, USD_XLM }) {
+    const { bids, asks } = levels(orderbook);
+
+    const depthBands = {};
+    DEPTH_BANDS.forEach((band) => {
+        const bids_XLM = counterPriceXLM * _.sumBy(bids, bid => (bid.price >= price * (1 - band) ? bid.counter : 0));
+        const asks_XLM = basePriceXLM * _.sumBy(asks, ask => (ask.price <= price * (1 + band) ? ask.base : 0));
+        depthBands[`${_.round(band * 100, 2)}%`] = {
+            bids_XLM: niceRound(bids_XLM),
+            asks_XLM: niceRound(asks_XLM),
+            bids_USD: niceRound(bids_XLM * USD_XLM),
+            asks_USD: niceRound(asks_XLM * USD_XLM),
+        };
+    });
+
+    const slippage = {};
+    SLIPPAGE_SIZES_USD.forEach((sizeUSD) => {
+        const baseAmount = sizeUSD / USD_XLM / basePriceXLM;
+        slippage[sizeUSD] = {
+            buy: walk(asks, baseAmount, price, true),
+            sell: walk(bids, baseAmount, price, false),
+        };
+    });
+
+    return { depthBands, slippage };
+}
+
+module.exports = { DEPTH_BANDS, SLIPPAGE_SIZES_USD, marketDepth };
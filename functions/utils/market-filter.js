@@ -0,0 +1,93 @@
+const _ = require('lodash');
+
+// Limits a run to some markets, e.g. while debugging one asset. A filter is { asset } or { pair }:
+// asset is a code, code-issuer or code-domain, pair is a pair slug such as XLM-native/SLT-stellarterm.com.
+// An asset filter keeps the matching assets and the pairs they are a side of, a pair filter keeps the pair.
+// Both assets of every kept pair are kept, a pair can't be priced without them. So are the pairs that give the kept
+// assets their XLM price: the XLM pair of an asset, or the shortest chain of cross pairs to an asset with one
+
+function matches(filter, code, issuer, slug) {
+    return [code, `${code}-${issuer}`, slug].indexOf(filter.asset) !== -1;
+}
+
+function keepAsset(filter, asset) {
+    const slug = `${asset.code}-${asset.domain}`;
+    return filter.pair ? filter.pair.split('/').indexOf(slug) !== -1 : matches(filter, asset.code, asset.issuer, slug);
+}
+
+// Pair slugs are <base code>-<domain>/<counter code>-<domain>
+function keepPair(filter, pair, pairSlug) {
+    if (filter.pair) {
+        return pairSlug === filter.pair;
+    }
+    const [baseSlug, counterSlug] = pairSlug.split('/');
+    return matches(filter, pair.baseBuying.code, pair.baseBuying.issuer, baseSlug) ||
+        matches(filter, pair.counterSelling.code, pair.counterSelling.issuer, counterSlug);
+}
+
+// Asset id of a side of a pair, null for XLM
+function sideId(side) {
+    return side.issuer ? `${side.code}-${side.issuer}` : null;
+}
+
+function pairAssetIds(pair) {
+    return [sideId(pair.baseBuying), sideId(pair.counterSelling)];
+}
+
+function xlmPairOf(pairs, assetId) {
+    return _.find(Object.keys(pairs), pairSlug => _.xor(pairAssetIds(pairs[pairSlug]), [assetId, null]).length === 0);
+}
+
+// Slugs of the pairs the ticker prices an asset with, none when it can't be priced
+function pricingPairs(pairs, assetId) {
+    const visited = [assetId];
+    let paths = [{ assetId, pairSlugs: [] }];
+    while (paths.length) {
+        const priced = _.find(paths, path => xlmPairOf(pairs, path.assetId));
+        if (priced) {
+            return priced.pairSlugs.concat(xlmPairOf(pairs, priced.assetId));
+        }
+        paths = _.flatMap(paths, path => Object.keys(pairs)
+            .filter(pairSlug => pairAssetIds(pairs[pairSlug]).indexOf(null) === -1 &&
+                pairAssetIds(pairs[pairSlug]).indexOf(path.assetId) !== -1)
+            .map(pairSlug => ({ pairSlug, next: _.without(pairAssetIds(pairs[pairSlug]), path.assetId)[0] }))
+            .filter(({ next }) => {
+                if (visited.indexOf(next) !== -1) {
+                    return false;
+                }
+                visited.push(next);
+                return true;
+            })
+            .map(({ pairSlug, next }) => ({ assetId: next, pairSlugs: path.pairSlugs.concat(pairSlug) })));
+    }
+    return [];
+}
+
+// Removes the assets and pairs that don't match from a loaded stellarterm-directory. Without a filter nothing changes
+function filterDirectory(directory, filter) {
+    if (!filter || (!filter.asset && !filter.pair)) {
+        return;
+    }
+    const matchingPairSlugs = Object.keys(directory.pairs).filter(pairSlug => keepPair(filter, directory.pairs[pairSlug], pairSlug));
+    const matchingAssetIds = _.union(
+        Object.keys(directory.assets).filter(id => keepAsset(filter, directory.assets[id])),
+        _.compact(_.flatMap(matchingPairSlugs, pairSlug => pairAssetIds(directory.pairs[pairSlug]))),
+    );
+    if (!matchingAssetIds.length && !matchingPairSlugs.length) {
+        throw new Error(`No asset or pair of the directory matches ${filter.pair || filter.asset}`);
+    }
+    const pairSlugs = _.union(matchingPairSlugs, _.flatMap(matchingAssetIds, id => pricingPairs(directory.pairs, id)));
+    const assetIds = _.union(matchingAssetIds, _.compact(_.flatMap(pairSlugs, pairSlug => pairAssetIds(directory.pairs[pairSlug]))));
+    Object.keys(directory.assets).forEach((id) => {
+        if (assetIds.indexOf(id) === -1) {
+            delete directory.assets[id];
+        }
+    });
+    Object.keys(directory.pairs).forEach((pairSlug) => {
+        if (pairSlugs.indexOf(pairSlug) === -1) {
+            delete directory.pairs[pairSlug];
+        }
+    });
+}
+
+module.exports = { filterDirectory };
@@ -0,0 +1,12 @@
+const _ = require('lodash');
+
+// Price levels of a Horizon orderbook as [price, quantity] string pairs with the quantity in the base asset.
+// Horizon gives the amount of bids in the counter asset
+module.exports = function orderbookLevels(horizonOrderbook) {
+    const bids = horizonOrderbook ? horizonOrderbook.bids : [];
+    const asks = horizonOrderbook ? horizonOrderbook.asks : [];
+    return {
+        bids: bids.map(({ price, amount }) => [price, String(_.round(parseFloat(amount) / parseFloat(price), 7))]),
+        asks: asks.map(({ price, amount }) => [price, amount]),
+    };
+};
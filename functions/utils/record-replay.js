@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mkdirp = require('mkdirp');
+const removeDir = require('./remove-dir');
+
+// Record mode captures every outbound HTTP response of a run into a fixture bundle.
+// Replay mode serves the run from the bundle without network access.
+// The clock is frozen at the start of the recorded run in both modes, since the time ends up
+// in the output and in the Horizon request URLs. Replays are byte-identical when started with the same TZ.
+
+const BUNDLE_VERSION = 1;
+
+// Settings read from the environment by the generators and the publishing of a run, as they change its requests
+// or its output. The CoinMarketCap key is left out, it doesn't change the output and isn't written to the bundle
+const RECORDED_ENV = [
+    'APP_NAME',
+    'STELLAR_NETWORK',
+    'NETWORK_NAME',
+    'NETWORK_PASSPHRASE',
+    'HORIZON_SERVERS',
+    'DIRECTORY_SOURCE',
+    'PRICE_SOURCES_ENABLED',
+    'PRICE_SOURCES_DISABLED',
+    'PRICE_SOURCES_MAX_DEVIATION',
+    'FIAT_CURRENCIES',
+    'MAX_FAILED_PAIRS_RATIO',
+    'ACTIVITY_SCORE_STRATEGY',
+    'ACTIVITY_SCORE_CONFIG',
+    'ANOMALY_CONFIG',
+    'CMC_ORDERBOOK_DEPTH',
+    'CMC_TRADES_LIMIT',
+    'TOML_CACHE_MINUTES',
+    'ARCHIVE_MINUTE_DAYS',
+    'ARCHIVE_HOURLY_DAYS',
+    'LOG_RETENTION_DAYS',
+    'NOTIFY_WEBHOOKS',
+    'NOTIFY_REPEAT_MINUTES',
+    'NOTIFY_DEGRADED_RUNS',
+];
+// Settings that are paths of JSON files. The files are recorded too and written to a temporary directory on replay
+const RECORDED_FILES = ['ACTIVITY_SCORE_CONFIG', 'ANOMALY_CONFIG'];
+
+function freezeClock(time) {
+    const RealDate = Date;
+    function FrozenDate(...args) {
+        if (!(this instanceof FrozenDate)) {
+            return new RealDate(time).toString();
+        }
+        return args.length ? new RealDate(...args) : new RealDate(time);
+    }
+    FrozenDate.prototype = RealDate.prototype;
+    FrozenDate.now = () => time;
+    FrozenDate.parse = RealDate.parse;
+    FrozenDate.UTC = RealDate.UTC;
+    global.Date = FrozenDate;
+    return () => {
+        global.Date = RealDate;
+    };
+}
+
+function startRecording(file) {
+    // nock is only needed for recording and replaying
+    const nock = require('nock'); // eslint-disable-line global-require
+    const recordedAt = Date.now();
+    const restoreClock = freezeClock(recordedAt);
+    nock.recorder.rec({ dont_print: true, output_objects: true });
+
+    return {
+        stop() {
+            const bundle = {
+                version: BUNDLE_VERSION,
+                recordedAt,
+                env: RECORDED_ENV.reduce((env, name) => {
+                    if (process.env[name] !== undefined) {
+                        env[name] = process.env[name];
+                    }
+                    return env;
+                }, {}),
+                files: RECORDED_FILES.reduce((files, name) => {
+                    if (process.env[name]) {
+                        files[name] = fs.readFileSync(process.env[name], 'utf8');
+                    }
+                    return files;
+                }, {}),
+                requests: nock.recorder.play(),
+            };
+            nock.recorder.clear();
+            nock.restore();
+            restoreClock();
+            mkdirp.sync(path.dirname(file));
+            fs.writeFileSync(file, JSON.stringify(bundle, null, 2), 'utf8');
+        },
+    };
+}
+
+// Must be started before the generators are required, the recorded environment is applied here
+function startReplay(file) {
+    const nock = require('nock'); // eslint-disable-line global-require
+    const bundle = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (bundle.version !== BUNDLE_VERSION) {
+        throw new Error(`Unsupported fixture bundle version ${bundle.version} in ${file}`);
+    }
+
+    RECORDED_ENV.forEach((name) => {
+        delete process.env[name];
+    });
+    Object.assign(process.env, bundle.env);
+    const files = bundle.files || {};
+    let dir = null;
+    if (Object.keys(files).length) {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+        Object.keys(files).forEach((name) => {
+            process.env[name] = path.join(dir, `${name}.json`);
+            fs.writeFileSync(process.env[name], files[name], 'utf8');
+        });
+    }
+    const restoreClock = freezeClock(bundle.recordedAt);
+    if (!nock.isActive()) {
+        nock.activate();
+    }
+    nock.disableNetConnect();
+    nock.define(bundle.requests);
+
+    return {
+        stop() {
+            const pending = nock.pendingMocks();
+            if (pending.length) {
+                console.warn(`Replay: ${pending.length} recorded responses were not requested`);
+            }
+            nock.cleanAll();
+            nock.enableNetConnect();
+            nock.restore();
+            restoreClock();
+            if (dir) {
+                removeDir(dir);
+            }
+        },
+    };
+}
+
+// opts.record or opts.replay is the path of the fixture bundle. Without either nothing is intercepted
+function start(opts) {
+    if (opts.record && opts.replay) {
+        throw new Error('Cannot record and replay at the same time');
+    }
+    if (opts.record) {
+        return startRecording(opts.record);
+    }
+    if (opts.replay) {
+        return startReplay(opts.replay);
+    }
+    return { stop() {} };
+}
+
+module.exports = { start };
@@ -0,0 +1,16 @@
+const fs = require('fs');
+const path = require('path');
+
+// Deletes a directory and its content. fs.rmdirSync(dir, { recursive: true }) needs Node 12.10 and is deprecated
+// since Node 16
+module.exports = function removeDir(dir) {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            removeDir(entryPath);
+        } else {
+            fs.unlinkSync(entryPath);
+        }
+    });
+    fs.rmdirSync(dir);
+};
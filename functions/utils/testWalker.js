@@ -1,11 +1,8 @@
-const _ = require('lodash');
 const StellarSdk = require('stellar-sdk');
-const directory = require('../../directory.json');
 const tradeWalker = require('./tradeWalker');
 const { HORIZON_SERVER } = require('../horizon-server.constant');
 
 Server = new StellarSdk.Server(HORIZON_SERVER);
-StellarSdk.Network.usePublicNetwork();
 
 
 
@@ -16,6 +13,3 @@ tradeWalker.walkUntil(Server, {
   code:'BTC',
   issuer: 'GAUTUYY2THLF7SGITDFMXJVYH3LHDSMGEAKSBU267M2K7A3W543CKUEF'
 }, 86400)
-.then(result => {
-  console.log(result)
-})
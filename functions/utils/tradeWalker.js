@@ -3,37 +3,63 @@ const StellarSdk = require('stellar-sdk');
 
 let tradeWalker = {};
 
-function matchesAsset(res, tradeType, asset) {
-  let prefix;
-  if (tradeType === 'bought') {
-    prefix = 'bought';
-  } else if (tradeType === 'sold') {
-    prefix = 'sold';
-  } else {
-    throw new TypeError('tradeType argument for matchesAsset is supposed to be either bought or sold');
+function median(values) {
+  if (values.length === 0) {
+    return null;
   }
+  let sorted = _.sortBy(values);
+  let middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
 
-  return (res[prefix + '_asset_type'] === 'native' && asset.code === 'XLM' && asset.issuer === null)
-    ||
-  (res[prefix + '_asset_code'] === asset.code && res[prefix + '_asset_issuer'] === asset.issuer);
+// Remove trades whose price is more than OUTLIER_THRESHOLD times away from the median price of the trades.
+// Anchoring on the median rather than on one trade keeps a single odd trade from moving the band
+const OUTLIER_THRESHOLD = 3;
+function rejectOutliers(trades) {
+  if (trades.length === 0) {
+    return trades;
+  }
+  let medianPrice = median(_.map(trades, 'price'));
+  return _.filter(trades, trade => {
+    let ratio = (trade.price > medianPrice) ? trade.price/medianPrice : medianPrice/trade.price;
+    return ratio <= OUTLIER_THRESHOLD;
+  });
 }
 
-// Walks until we hit pastSeconds in the past
-// Will also rectify the trades
+function summarize(trades) {
+  let buys = _.filter(trades, {type: 'buy'});
+  let sells = _.filter(trades, {type: 'sell'});
+  let baseVolume = _.sumBy(trades, 'baseAmount');
+  let counterVolume = _.sumBy(trades, 'counterAmount');
+  return {
+    tradeCount: trades.length,
+    vwap: baseVolume > 0 ? _.round(counterVolume/baseVolume, 7) : null,
+    medianPrice: median(_.map(trades, 'price')),
+    baseVolume,
+    counterVolume,
+    buyBaseVolume: _.sumBy(buys, 'baseAmount'),
+    sellBaseVolume: _.sumBy(sells, 'baseAmount'),
+    buyCounterVolume: _.sumBy(buys, 'counterAmount'),
+    sellCounterVolume: _.sumBy(sells, 'counterAmount'),
+  };
+}
+
+// Walks until we hit pastSeconds in the past or MAX_DEPTH pages of trades
+// Will also rectify the trades by removing price outliers
+// Resolves with the trades from old to new and summary stats of them
 tradeWalker.walkUntil = function walkUntil(Server, baseBuying, counterSelling, pastSeconds) {
   let records = [];
   let satisfied = false;
   let start = new Date() / 1000;
-  let first = true;
   let depth = 0;
   const MAX_DEPTH = 5;
-  let prevCall;
 
   let baseBuyingSdk = new StellarSdk.Asset(baseBuying.code, baseBuying.issuer);
   let counterSellingSdk = new StellarSdk.Asset(counterSelling.code, counterSelling.issuer);
 
   let tradeCalls = Server.trades().forAssetPair(baseBuyingSdk, counterSellingSdk).limit(200).order('desc').call()
   let processResults = tradeResults => {
+    depth += 1;
     _.each(tradeResults.records, res => {
       let tradeTime = Date.parse(res.ledger_close_time)/1000
       if (start - tradeTime > pastSeconds) {
@@ -55,7 +81,8 @@ tradeWalker.walkUntil = function walkUntil(Server, baseBuying, counterSelling, p
       records.push(processedTrade);
     })
 
-    if (satisfied) {
+    // No more trades in the history, or too many pages for one run
+    if (satisfied || tradeResults.records.length === 0 || depth >= MAX_DEPTH) {
       return;
     }
     return tradeResults.next().then(processResults);
@@ -63,33 +90,17 @@ tradeWalker.walkUntil = function walkUntil(Server, baseBuying, counterSelling, p
 
   return tradeCalls.then(processResults)
   .then(() => {
-    return records;
-  })
-
-
-
-  // Potential optimization: If we load the horizon results into the array in the correct order
-  // then sorting will run at near optimal runtime
-
-  // First sort it in reverse so that we can filter
-  this.trades.sort((a,b) => {
-    return b[0]-a[0];
-  });
-
-  // Iterate on trades from new to old
-  // Remove trades that are greater than OUTLIER_THRESHOLD times the previous value
-  const OUTLIER_THRESHOLD = 3;
-  let lastAmount = this.trades[0];
-  this.trades = _.filter(this.trades, (entry) => {
-    let currentAmount = entry[1];
-    let ratio = (currentAmount > lastAmount) ? currentAmount/lastAmount :  lastAmount/currentAmount;
-    if (ratio > OUTLIER_THRESHOLD) {
-      return false;
-    }
-    lastAmount = currentAmount;
-    return true;
+    let trades = rejectOutliers(records);
+    let stats = summarize(trades);
+    stats.outliersRemoved = records.length - trades.length;
+    stats.complete = satisfied || depth < MAX_DEPTH;
+    return {
+      records: _.reverse(trades),
+      stats,
+    };
   });
-  _.reverse(this.trades);
 }
 
+tradeWalker.rejectOutliers = rejectOutliers;
+
 module.exports = tradeWalker;
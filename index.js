@@ -1,4 +1,4 @@
 const { tickerGenerator, tickerDataGenerator } = require('./functions/ticker');
-const historyGenerator = require('./functions/history');
+const { historyGenerator } = require('./functions/history');
 
 module.exports = { tickerGenerator, tickerDataGenerator, historyGenerator };
\ No newline at end of file
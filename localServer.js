@@ -0,0 +1,14 @@
+const { createStorage } = require('./functions/storage');
+const { publishTicker } = require('./functions/publish');
+const { createServer, runEvery } = require('./functions/server');
+
+// PORT, TICKER_INTERVAL (seconds between generator runs) and STORAGE (local or memory) can be set in the environment
+const PORT = Number(process.env.PORT) || 3000;
+const TICKER_INTERVAL = (Number(process.env.TICKER_INTERVAL) || 60) * 1000;
+const storage = createStorage(process.env.STORAGE || 'local', { root: './output' });
+
+runEvery(TICKER_INTERVAL, () => publishTicker(storage));
+
+createServer(storage).listen(PORT, () => {
+    console.log(`StellarTerm API listening on http://localhost:${PORT}/v1/ticker.json`);
+});
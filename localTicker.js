@@ -1,21 +1,16 @@
-const { tickerGenerator } = require('./functions/ticker');
-const { generate } = require('./functions/cmc-data-generator');
-const fs = require('fs');
-const _ = require('lodash');
-const mkdirp = require('mkdirp');
+const recordReplay = require('./functions/utils/record-replay');
 
-tickerGenerator()
-    .then(({files, log}) => {
-        mkdirp.sync('./output/v1/');
-        mkdirp.sync('./output/cmc/v1/');
-        _.each(files, (contents, filename) => {
-            fs.writeFileSync('./output/' + filename, contents, 'utf8');
-        });
-        fs.writeFileSync('./output/v1/log.txt', log, 'utf8');
-        return generate();
-    })
-    .then((data) => {
-        Object.entries(data).forEach(([filename, value]) => {
-            fs.writeFileSync(`./output/${filename}`, value, 'utf8');
-        });
-    });
+// RECORD_FIXTURE=<file> records every outbound response of the run, REPLAY_FIXTURE=<file> replays them offline
+const session = recordReplay.start({
+    record: process.env.RECORD_FIXTURE,
+    replay: process.env.REPLAY_FIXTURE,
+});
+
+// Required after starting a replay so that the recorded environment is used
+const { createStorage } = require('./functions/storage');
+const { publishTicker } = require('./functions/publish');
+
+const storage = createStorage('local', { root: process.env.OUTPUT_DIR || './output' });
+
+publishTicker(storage)
+    .finally(() => session.stop());
@@ -2,3 +2,22 @@
 export STELLARTERM_S3_BUCKET="api.stellarterm.com"
 export STELLARTERM_AWS_PROFILE="stellarterm"
 export COIN_MARKET_CUP_KEY='your-cmc-key'
+
+# Optional: Stellar network (public, testnet or custom). A custom network needs NETWORK_PASSPHRASE and HORIZON_SERVERS.
+# Other networks than public are published under networks/<name>/ of the bucket
+export STELLAR_NETWORK='public'
+export NETWORK_NAME=''
+export NETWORK_PASSPHRASE=''
+export HORIZON_SERVERS=''
+export DIRECTORY_SOURCE=''
+
+# Optional: comma separated external price sources (see functions/price-sources) to switch on or off,
+# either whole sources (`kraken`) or one pair of a source (`kraken:BTC_XLM`)
+export PRICE_SOURCES_ENABLED=''
+export PRICE_SOURCES_DISABLED=''
+# Fiat currencies the assets are also priced in, besides USD. Empty for USD only
+export FIAT_CURRENCIES='EUR,GBP,NGN,BRL'
+
+# Optional: comma separated webhooks notified on ticker failures, recoveries and sustained degradations.
+# Prefix with `slack:` or `discord:` for their payload format, e.g. 'slack:https://hooks.slack.com/services/...'
+export NOTIFY_WEBHOOKS=''
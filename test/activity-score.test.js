@@ -0,0 +1,48 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const activityScore = require('../functions/activity-score');
+const removeDir = require('../functions/utils/remove-dir');
+
+describe('activity score', () => {
+    describe('loadConfig', () => {
+        let dir;
+
+        const useConfig = (config) => {
+            process.env.ACTIVITY_SCORE_CONFIG = path.join(dir, 'activity-score.json');
+            fs.writeFileSync(process.env.ACTIVITY_SCORE_CONFIG, JSON.stringify(config));
+        };
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'activity-score-'));
+        });
+
+        afterEach(() => {
+            delete process.env.ACTIVITY_SCORE_CONFIG;
+            delete process.env.ACTIVITY_SCORE_STRATEGY;
+            delete activityScore.DEFAULT_CONFIG.ignoredAssets;
+            removeDir(dir);
+        });
+
+        it('keeps the defaults the file does not override', () => {
+            useConfig({ linear: { depthCap: 5 } });
+            const config = activityScore.loadConfig();
+            assert.strictEqual(config.linear.depthCap, 5);
+            assert.strictEqual(config.linear.volumeCap, activityScore.DEFAULT_CONFIG.linear.volumeCap);
+        });
+
+        it('replaces arrays instead of merging them by index', () => {
+            activityScore.DEFAULT_CONFIG.ignoredAssets = ['a', 'b'];
+            useConfig({ ignoredAssets: ['c'] });
+            assert.deepStrictEqual(activityScore.loadConfig().ignoredAssets, ['c']);
+            useConfig({ ignoredAssets: [] });
+            assert.deepStrictEqual(activityScore.loadConfig().ignoredAssets, []);
+        });
+
+        it('refuses an unknown strategy', () => {
+            process.env.ACTIVITY_SCORE_STRATEGY = 'random';
+            assert.throws(() => activityScore.loadConfig(), /Unknown activity score strategy: random/);
+        });
+    });
+});
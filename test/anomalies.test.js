@@ -0,0 +1,47 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const anomalies = require('../functions/anomalies');
+const removeDir = require('../functions/utils/remove-dir');
+
+describe('anomalies', () => {
+    describe('loadConfig', () => {
+        let dir;
+
+        const useConfig = (config) => {
+            process.env.ANOMALY_CONFIG = path.join(dir, 'anomalies.json');
+            fs.writeFileSync(process.env.ANOMALY_CONFIG, JSON.stringify(config));
+        };
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'anomalies-'));
+        });
+
+        afterEach(() => {
+            delete process.env.ANOMALY_CONFIG;
+            removeDir(dir);
+        });
+
+        it('uses the defaults without a config file', () => {
+            assert.deepStrictEqual(anomalies.loadConfig(), anomalies.DEFAULT_CONFIG);
+        });
+
+        it('replaces holdOn with the list of the file', () => {
+            useConfig({ holdOn: ['priceMove'] });
+            assert.deepStrictEqual(anomalies.loadConfig().holdOn, ['priceMove']);
+        });
+
+        it('holds on nothing with an empty holdOn', () => {
+            useConfig({ holdOn: [] });
+            assert.deepStrictEqual(anomalies.loadConfig().holdOn, []);
+        });
+
+        it('keeps the defaults the file does not override', () => {
+            useConfig({ priceMove: 0.8 });
+            const config = anomalies.loadConfig();
+            assert.strictEqual(config.priceMove, 0.8);
+            assert.deepStrictEqual(config.holdOn, anomalies.DEFAULT_CONFIG.holdOn);
+        });
+    });
+});
@@ -0,0 +1,55 @@
+const assert = require('assert');
+const StellarSdk = require('stellar-sdk');
+const { horizonPool } = require('../functions/horizon-pool');
+const { loadAssetSupplies } = require('../functions/asset-supply');
+
+describe('asset supply', () => {
+    const call = horizonPool.call;
+    let calls;
+    let running;
+    let maxRunning;
+
+    beforeEach(() => {
+        calls = 0;
+        running = 0;
+        maxRunning = 0;
+        // Each /assets request takes a few ms, to see how many run at once
+        horizonPool.call = () => {
+            calls += 1;
+            running += 1;
+            maxRunning = Math.max(maxRunning, running);
+            return new Promise(resolve => setTimeout(resolve, 5))
+                .then(() => {
+                    running -= 1;
+                    return { records: [{ amount: '100.0000000', num_accounts: 3, flags: {} }] };
+                });
+        };
+    });
+
+    afterEach(() => {
+        horizonPool.call = call;
+    });
+
+    const assets = count => Array.from({ length: count }, (value, n) => ({
+        code: `S${n}`,
+        issuer: StellarSdk.Keypair.fromRawEd25519Seed(Buffer.alloc(32, 100 + n)).publicKey(),
+    }));
+
+    it('loads at most 10 supplies at once', () => loadAssetSupplies(assets(25).concat({ code: 'XLM', issuer: null }))
+        .then(({ supplies, errors }) => {
+            assert.strictEqual(Object.keys(supplies).length, 25);
+            assert.deepStrictEqual(errors, []);
+            assert.strictEqual(calls, 25);
+            assert.strictEqual(maxRunning, 10);
+        }));
+
+    it('shares the loaded supplies with the next run', () => {
+        const shared = assets(3).map(asset => Object.assign({}, asset, { code: `T${asset.code}` }));
+        return loadAssetSupplies(shared)
+            .then(() => loadAssetSupplies(shared))
+            .then(({ supplies }) => {
+                assert.strictEqual(calls, 3);
+                assert.strictEqual(Object.keys(supplies).length, 3);
+            });
+    });
+});
@@ -0,0 +1,52 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fakeUpstream = require('./helpers/fake-upstream');
+const directory = require('stellarterm-directory');
+const { parseArgs, run } = require('../cli');
+const removeDir = require('../functions/utils/remove-dir');
+
+// Runs a command of cli.js against the fake upstream, console.log is silenced meanwhile
+function runCli(argv) {
+    const log = console.log;
+    const options = parseArgs(argv);
+    return fakeUpstream.start().then((upstream) => {
+        console.log = () => {};
+        return run(options).finally(() => {
+            console.log = log;
+            upstream.stop();
+        });
+    });
+}
+
+describe('cli', function () {
+    this.timeout(20000);
+
+    let output;
+
+    before(() => fakeUpstream.stubDirectory(directory));
+
+    beforeEach(() => {
+        output = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    });
+
+    afterEach(() => {
+        removeDir(output);
+    });
+
+    it('publishes the ticker like a published run', () => runCli(['ticker', '--pretty', '--output', output])
+        .then((exitCode) => {
+            assert.strictEqual(exitCode, 0);
+            const tickerJson = fs.readFileSync(path.join(output, 'v1', 'ticker.json'), 'utf8');
+            assert.strictEqual(tickerJson, JSON.stringify(JSON.parse(tickerJson), null, 2));
+            assert.ok(fs.existsSync(path.join(output, 'v1', 'ticker-state.json')));
+            assert.ok(fs.existsSync(path.join(output, 'schemas')), 'the schemas are published with the ticker');
+        }));
+
+    it('writes nothing on a dry run', () => runCli(['ticker', '--dry-run', '--output', output])
+        .then((exitCode) => {
+            assert.strictEqual(exitCode, 0);
+            assert.deepStrictEqual(fs.readdirSync(output), []);
+        }));
+});
@@ -0,0 +1,238 @@
+const http = require('http');
+const https = require('https');
+const _ = require('lodash');
+const StellarSdk = require('stellar-sdk');
+
+// Sends every outbound HTTP request of the generators to a local server instead of the internet.
+// The local server sees the original host in the Host header, so it can play Horizon, the price sources,
+// CoinMarketCap and stellarterm.com at once
+
+const PUBLIC_PASSPHRASE = 'Public Global Stellar Network ; September 2015';
+const HORIZON = 'https://horizon.test';
+
+// Settings the generators read when they are required. Only coinbase is left as price source,
+// and frankfurter for the exchange rates of 24h ago
+const GENERATOR_ENV = {
+    STELLAR_NETWORK: 'public',
+    HORIZON_SERVERS: HORIZON,
+    PRICE_SOURCES_DISABLED: 'bitfinex,kraken,binance,poloniex,bittrex,exchangerate-api,floatrates',
+    FIAT_CURRENCIES: 'EUR',
+    COIN_MARKET_CUP_KEY: 'test-key',
+};
+
+const issuers = [1, 2, 3].map(n => StellarSdk.Keypair.fromRawEd25519Seed(Buffer.alloc(32, n)).publicKey());
+
+// A directory of one XLM pair and two cross pairs. BTC is only priced through EUR, which is only priced through USD
+const DIRECTORY = {
+    anchors: {
+        'usd.test': { website: 'https://usd.test' },
+        'eur.test': { website: 'https://eur.test' },
+        'btc.test': { website: 'https://btc.test' },
+    },
+    assets: {
+        [`USD-${issuers[0]}`]: { code: 'USD', issuer: issuers[0], domain: 'usd.test' },
+        [`EUR-${issuers[1]}`]: { code: 'EUR', issuer: issuers[1], domain: 'eur.test' },
+        [`BTC-${issuers[2]}`]: { code: 'BTC', issuer: issuers[2], domain: 'btc.test' },
+    },
+    pairs: {
+        'XLM-native/USD-usd.test': { baseBuying: { code: 'XLM', issuer: null }, counterSelling: { code: 'USD', issuer: issuers[0] } },
+        'USD-usd.test/EUR-eur.test': { baseBuying: { code: 'USD', issuer: issuers[0] }, counterSelling: { code: 'EUR', issuer: issuers[1] } },
+        'EUR-eur.test/BTC-btc.test': { baseBuying: { code: 'EUR', issuer: issuers[1] }, counterSelling: { code: 'BTC', issuer: issuers[2] } },
+    },
+};
+
+// Price of one unit of the first asset in the second one
+const PRICES = {
+    'native/USD': 0.1,
+    'USD/EUR': 0.9,
+    'EUR/BTC': 0.00002,
+};
+
+// Sets the environment of the generators. Must run before they are required, see setup.js
+function useGeneratorEnv() {
+    Object.assign(process.env, GENERATOR_ENV);
+}
+
+// Replaces the loading of stellarterm-directory with DIRECTORY
+function stubDirectory(directory) {
+    directory.reset = () => {
+        directory.anchors = {};
+        directory.assets = {};
+        directory.pairs = {};
+    };
+    directory.initializeIssuerOrgs = () => Promise.resolve().then(() => {
+        Object.assign(directory, _.cloneDeep(DIRECTORY), { buildID: 'test' });
+    });
+}
+
+function page(records) {
+    return { _links: { self: { href: '' } }, _embedded: { records } };
+}
+
+function priceOf(query, prefix) {
+    const key = `${query.get(`${prefix[0]}_asset_code`) || 'native'}/${query.get(`${prefix[1]}_asset_code`) || 'native'}`;
+    const reverse = key.split('/').reverse().join('/');
+    return PRICES[key] || (PRICES[reverse] && 1 / PRICES[reverse]);
+}
+
+function orderbook(price) {
+    if (!price) {
+        return { bids: [], asks: [] };
+    }
+    const level = (levelPrice, amount) => ({ price: levelPrice.toFixed(7), amount: String(amount) });
+    return {
+        bids: [level(price * 0.99, 1000), level(price * 0.95, 2000)],
+        asks: [level(price * 1.01, 1000), level(price * 1.05, 2000)],
+    };
+}
+
+function tradeAggregations(price) {
+    if (!price) {
+        return page([]);
+    }
+    return page(_.times(8, n => ({
+        timestamp: String(1600000000000 + n * 900000),
+        trade_count: '3',
+        base_volume: '100.0000000',
+        counter_volume: (100 * price).toFixed(7),
+        open: price.toFixed(7),
+        high: price.toFixed(7),
+        low: price.toFixed(7),
+        close: price.toFixed(7),
+    })));
+}
+
+function trades(price) {
+    if (!price) {
+        return page([]);
+    }
+    return page(_.times(2, n => ({
+        id: `10744958484591411${n}-0`,
+        ledger_close_time: new Date(1600000000000 + n * 60000).toISOString(),
+        base_is_seller: n % 2 === 0,
+        base_amount: '10.0000000',
+        counter_amount: (10 * price).toFixed(7),
+        price: { n: Math.round(price * 10000000), d: 10000000 },
+    })));
+}
+
+// Response of the Horizon, price source, CoinMarketCap and stellarterm.com endpoints the ticker reads.
+// Anything else, e.g. a stellar.toml, is not found
+function respond(host, path) {
+    const url = new URL(path, `https://${host}`);
+    const query = url.searchParams;
+    if (host === 'horizon.test') {
+        switch (url.pathname) {
+        case '/':
+            return { core_latest_ledger: 100, network_passphrase: PUBLIC_PASSPHRASE };
+        case '/order_book':
+            return orderbook(priceOf(query, ['selling', 'buying']));
+        case '/trade_aggregations':
+            return tradeAggregations(priceOf(query, ['base', 'counter']));
+        case '/trades':
+            return trades(priceOf(query, ['base', 'counter']));
+        case '/liquidity_pools':
+            return page([]);
+        case '/assets':
+            return page([{ asset_code: query.get('asset_code'), amount: '1000000.0000000', num_accounts: 10, flags: {} }]);
+        case '/ledgers':
+            return page([{ total_coins: '105443902087.3472865' }]);
+        default:
+            return null;
+        }
+    }
+    if (host === 'api.coinbase.com') {
+        if (url.pathname === '/v2/prices/spot') {
+            return { data: { amount: '10000.00' } };
+        }
+        if (url.pathname === '/v2/prices/XLM-BTC/spot') {
+            return { data: { amount: '0.00001' } };
+        }
+        if (url.pathname === '/v2/exchange-rates') {
+            return { data: { rates: { EUR: '0.9' } } };
+        }
+    }
+    if (host === 'api.frankfurter.app') {
+        // EUR was 2% lower on any past day
+        return { rates: { EUR: url.pathname === '/latest' ? 0.9 : 0.9 * 0.98 } };
+    }
+    if (host === 'pro-api.coinmarketcap.com') {
+        return { data: { XLM: { quote: { USD: { percent_change_24h: 5 } }, circulating_supply: 20000000000, total_supply: 50000000000 } } };
+    }
+    if (host === 'stellarterm.com') {
+        return '<script>window.stBuildInfo={version:42};</script>';
+    }
+    return null;
+}
+
+// Same arguments as http.request: (url[, options][, callback]) or (options[, callback])
+function toLocalOptions(args, port) {
+    let [input, options, callback] = args;
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    let target;
+    if (typeof input === 'string' || input instanceof URL) {
+        const parsed = new URL(input);
+        target = Object.assign({ hostname: parsed.hostname, path: parsed.pathname + parsed.search }, options);
+    } else {
+        target = Object.assign({}, input, options);
+    }
+    const host = target.hostname || (target.host || '').split(':')[0];
+    return [Object.assign({}, target, {
+        protocol: 'http:',
+        host: undefined,
+        hostname: '127.0.0.1',
+        port,
+        agent: false,
+        headers: Object.assign({}, target.headers, { host }),
+    }), callback];
+}
+
+// Starts the local server and routes http and https to it. opts.delay(host, path) gives the milliseconds
+// a response waits, to shuffle the order of parallel responses. opts.respond(host, path) can replace a response,
+// it gives the body, or undefined for the default one. Resolves with { stop() }
+function start(opts = {}) {
+    const delay = opts.delay || (() => 0);
+    const override = opts.respond || (() => undefined);
+    const server = http.createServer((req, res) => {
+        const host = req.headers.host.split(':')[0];
+        const replaced = override(host, req.url);
+        const body = replaced !== undefined ? replaced : respond(host, req.url);
+        setTimeout(() => {
+            if (body === null) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ status: 404, title: 'Resource Missing' }));
+                return;
+            }
+            const isText = typeof body === 'string';
+            res.writeHead(200, { 'Content-Type': isText ? 'text/html' : 'application/json' });
+            res.end(isText ? body : JSON.stringify(body));
+        }, delay(host, req.url));
+    });
+    const originals = { httpRequest: http.request, httpGet: http.get, httpsRequest: https.request, httpsGet: https.get };
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', resolve)).then(() => {
+        const { port } = server.address();
+        const request = (...args) => originals.httpRequest.apply(http, toLocalOptions(args, port));
+        const get = (...args) => {
+            const req = request(...args);
+            req.end();
+            return req;
+        };
+        Object.assign(http, { request, get });
+        Object.assign(https, { request, get });
+        return {
+            stop() {
+                Object.assign(http, { request: originals.httpRequest, get: originals.httpGet });
+                Object.assign(https, { request: originals.httpsRequest, get: originals.httpsGet });
+                return new Promise(resolve => server.close(resolve));
+            },
+        };
+    });
+}
+
+module.exports = {
+    GENERATOR_ENV, DIRECTORY, issuers, page, useGeneratorEnv, stubDirectory, start,
+};
@@ -0,0 +1,2 @@
+// Loaded by mocha before the test files: the generators read their settings when they are first required
+require('./fake-upstream').useGeneratorEnv();
@@ -0,0 +1,57 @@
+const assert = require('assert');
+const _ = require('lodash');
+const fakeUpstream = require('./helpers/fake-upstream');
+const directory = require('stellarterm-directory');
+const { tickerGenerator } = require('../functions/ticker');
+
+const POOL_ID = 'a'.repeat(64);
+
+// A pool of 10000 XLM and 1000 USD on the XLM/USD pair
+function pool() {
+    return fakeUpstream.page([{
+        id: POOL_ID,
+        fee_bp: 30,
+        total_shares: '3000.0000000',
+        reserves: [
+            { asset: 'native', amount: '10000.0000000' },
+            { asset: `USD:${fakeUpstream.issuers[0]}`, amount: '1000.0000000' },
+        ],
+    }]);
+}
+
+// Runs the ticker with or without the pool, resolves with the ticker and the requested Horizon paths
+function runTicker(withPool) {
+    const requested = [];
+    const respond = (host, path) => {
+        requested.push(path);
+        if (withPool && path.startsWith('/liquidity_pools?') && path.indexOf('USD') !== -1 && path.indexOf('native') !== -1) {
+            return pool();
+        }
+        return undefined;
+    };
+    return fakeUpstream.start({ respond }).then(upstream => tickerGenerator({ ignoreLog: true })
+        .finally(() => upstream.stop()))
+        .then(({ files }) => ({ ticker: JSON.parse(files['v1/ticker.json']), requested }));
+}
+
+describe('liquidity pools', function () {
+    this.timeout(20000);
+
+    before(() => fakeUpstream.stubDirectory(directory));
+
+    it('adds the pool to the depth but not again to the volume of the trade aggregations', () => runTicker(false)
+        .then(without => runTicker(true).then(withPool => [without, withPool]))
+        .then(([without, withPool]) => {
+            const slug = 'XLM-native/USD-usd.test';
+            const usd = _.find(withPool.ticker.assets, { code: 'USD' });
+            assert.strictEqual(usd.liquidityPools[0].id, POOL_ID);
+            assert.strictEqual(withPool.ticker.pairs[slug].volume24h_XLM, without.ticker.pairs[slug].volume24h_XLM);
+            assert.strictEqual(withPool.ticker.pairs[slug].numTrades24h, without.ticker.pairs[slug].numTrades24h);
+            assert.ok(withPool.ticker.pairs[slug].depth10Amount > without.ticker.pairs[slug].depth10Amount);
+        }));
+
+    it('does not walk the trades of the pool', () => runTicker(true)
+        .then(({ requested }) => {
+            assert.deepStrictEqual(requested.filter(path => path.indexOf(`/liquidity_pools/${POOL_ID}`) !== -1), []);
+        }));
+});
@@ -0,0 +1,98 @@
+const assert = require('assert');
+const _ = require('lodash');
+const fakeUpstream = require('./helpers/fake-upstream');
+const directory = require('stellarterm-directory');
+const { filterDirectory } = require('../functions/utils/market-filter');
+const { tickerGenerator } = require('../functions/ticker');
+
+const asset = (code, issuer, domain) => ({ code, issuer, domain });
+const side = (code, issuer) => ({ code, issuer });
+
+// The markets of EURT-tempo.eu.com in the StellarTerm directory
+function testDirectory() {
+    return {
+        assets: {
+            'EURT-GEURT': asset('EURT', 'GEURT', 'tempo.eu.com'),
+            'BTC-GNAOBTC': asset('BTC', 'GNAOBTC', 'naobtc.com'),
+            'PHP-GCOINS': asset('PHP', 'GCOINS', 'coins.asia'),
+            'SLT-GSLT': asset('SLT', 'GSLT', 'smartlands.io'),
+        },
+        pairs: {
+            'XLM-native/EURT-tempo.eu.com': { baseBuying: side('XLM', null), counterSelling: side('EURT', 'GEURT') },
+            'BTC-naobtc.com/EURT-tempo.eu.com': { baseBuying: side('BTC', 'GNAOBTC'), counterSelling: side('EURT', 'GEURT') },
+            'EURT-tempo.eu.com/PHP-coins.asia': { baseBuying: side('EURT', 'GEURT'), counterSelling: side('PHP', 'GCOINS') },
+            'XLM-native/SLT-smartlands.io': { baseBuying: side('XLM', null), counterSelling: side('SLT', 'GSLT') },
+        },
+    };
+}
+
+describe('market filter', () => {
+    it('keeps the other asset of the cross pairs of a filtered asset', () => {
+        const filtered = testDirectory();
+        filterDirectory(filtered, { asset: 'EURT-tempo.eu.com' });
+        assert.deepStrictEqual(Object.keys(filtered.pairs), [
+            'XLM-native/EURT-tempo.eu.com',
+            'BTC-naobtc.com/EURT-tempo.eu.com',
+            'EURT-tempo.eu.com/PHP-coins.asia',
+        ]);
+        assert.deepStrictEqual(Object.keys(filtered.assets).sort(), ['BTC-GNAOBTC', 'EURT-GEURT', 'PHP-GCOINS']);
+    });
+
+    it('keeps a pair, its assets and the XLM pair that prices them', () => {
+        const filtered = testDirectory();
+        filterDirectory(filtered, { pair: 'EURT-tempo.eu.com/PHP-coins.asia' });
+        assert.deepStrictEqual(Object.keys(filtered.pairs), ['XLM-native/EURT-tempo.eu.com', 'EURT-tempo.eu.com/PHP-coins.asia']);
+        assert.deepStrictEqual(Object.keys(filtered.assets).sort(), ['EURT-GEURT', 'PHP-GCOINS']);
+    });
+
+    it('keeps the chain of cross pairs that prices an asset without an XLM pair', () => {
+        const filtered = testDirectory();
+        filterDirectory(filtered, { asset: 'PHP' });
+        assert.deepStrictEqual(Object.keys(filtered.pairs), ['XLM-native/EURT-tempo.eu.com', 'EURT-tempo.eu.com/PHP-coins.asia']);
+        assert.deepStrictEqual(Object.keys(filtered.assets).sort(), ['EURT-GEURT', 'PHP-GCOINS']);
+    });
+
+    it('changes nothing without a filter', () => {
+        const filtered = testDirectory();
+        filterDirectory(filtered, null);
+        assert.deepStrictEqual(filtered, testDirectory());
+    });
+
+    it('refuses a filter that matches nothing', () => {
+        assert.throws(() => filterDirectory(testDirectory(), { asset: 'NOPE' }), /No asset or pair of the directory matches NOPE/);
+    });
+
+    describe('ticker run', function () {
+        this.timeout(20000);
+
+        before(() => fakeUpstream.stubDirectory(directory));
+
+        it('prices the cross pairs of the filtered asset', () => fakeUpstream.start()
+            .then(upstream => tickerGenerator({ ignoreLog: true, filter: { asset: 'USD' } })
+                .finally(() => upstream.stop()))
+            .then(({ files }) => {
+                const state = JSON.parse(files['v1/ticker-state.json']);
+                assert.deepStrictEqual(state.failedPairs, []);
+                const ticker = JSON.parse(files['v1/ticker.json']);
+                assert.deepStrictEqual(Object.keys(ticker.pairs), ['XLM-native/USD-usd.test', 'USD-usd.test/EUR-eur.test']);
+                assert.ok(_.find(ticker.assets, { code: 'EUR' }).price_XLM > 0);
+            }));
+
+        it('prices an asset whose only pair is a cross pair', () => fakeUpstream.start()
+            .then(upstream => tickerGenerator({ ignoreLog: true, filter: { asset: 'BTC' } })
+                .finally(() => upstream.stop()))
+            .then(({ files }) => {
+                const state = JSON.parse(files['v1/ticker-state.json']);
+                assert.deepStrictEqual(state.failedPairs, []);
+                const ticker = JSON.parse(files['v1/ticker.json']);
+                assert.deepStrictEqual(Object.keys(ticker.pairs).sort(), [
+                    'EUR-eur.test/BTC-btc.test',
+                    'USD-usd.test/EUR-eur.test',
+                    'XLM-native/USD-usd.test',
+                ]);
+                // 1 BTC = 50000 EUR = 55555.56 USD = 555555.6 XLM, give or take the rounding of each leg
+                const priceXLM = _.find(ticker.assets, { code: 'BTC' }).price_XLM;
+                assert.ok(Math.abs(priceXLM / 555555.6 - 1) < 0.001, priceXLM);
+            }));
+    });
+});
@@ -0,0 +1,30 @@
+const assert = require('assert');
+const StellarSdk = require('stellar-sdk');
+const { resolveNetwork } = require('../functions/network');
+
+describe('network', () => {
+    it('publishes the public network at the root of the bucket', () => {
+        assert.strictEqual(resolveNetwork({}).keyPrefix, '');
+    });
+
+    it('publishes other networks under networks/<name>/', () => {
+        assert.strictEqual(resolveNetwork({ STELLAR_NETWORK: 'testnet' }).keyPrefix, 'networks/testnet/');
+        assert.strictEqual(resolveNetwork({
+            STELLAR_NETWORK: 'custom', NETWORK_NAME: 'local', NETWORK_PASSPHRASE: 'Local', HORIZON_SERVERS: 'http://localhost:8000',
+        }).keyPrefix, 'networks/local/');
+    });
+
+    it('keeps a public network with another passphrase away from the root', () => {
+        const network = resolveNetwork({ NETWORK_PASSPHRASE: StellarSdk.Networks.TESTNET });
+        assert.strictEqual(network.name, 'public');
+        assert.strictEqual(network.keyPrefix, 'networks/public/');
+    });
+
+    it('refuses a custom network named after a built-in one', () => {
+        ['public', 'testnet'].forEach((name) => {
+            assert.throws(() => resolveNetwork({
+                STELLAR_NETWORK: 'custom', NETWORK_NAME: name, NETWORK_PASSPHRASE: 'Local', HORIZON_SERVERS: 'http://localhost:8000',
+            }), new RegExp(`NETWORK_NAME ${name} is the name of a built-in network`));
+        });
+    });
+});
@@ -0,0 +1,132 @@
+const assert = require('assert');
+const directory = require('stellarterm-directory');
+const fakeUpstream = require('./helpers/fake-upstream');
+const MemoryStorage = require('../functions/storage/memory-storage');
+const { generate } = require('../functions/cmc-data-generator');
+const { validateFiles } = require('../functions/output-schemas');
+const {
+    guardTickerSchemas, putValidFiles, TICKER_FILE, TICKER_STATE_FILE, TICKER_REFUSED,
+} = require('../functions/publish');
+
+const market = lastPrice => ({
+    trading_pairs: 'XLM_USD',
+    base_currency: 'XLM',
+    quote_currency: 'USD',
+    last_price: lastPrice,
+    base_volume: 10,
+    quote_volume: 1,
+});
+const tickerState = () => JSON.stringify({ tickerState: 'Ticker successfully generated', degradations: [] });
+
+// console.error is silenced while files are refused
+function quiet(fn) {
+    const error = console.error;
+    console.error = () => {};
+    try {
+        return fn();
+    } finally {
+        console.error = error;
+    }
+}
+
+const trade = tradeId => ({
+    trade_id: tradeId,
+    price: 0.1,
+    base_volume: 10,
+    quote_volume: 1,
+    timestamp: 1577836800000,
+    type: 'buy',
+});
+
+describe('output schemas', () => {
+    describe('cmc trades', () => {
+        const validate = trades => validateFiles({ 'cmc/v1/trades/XLM_USD.json': JSON.stringify(trades) });
+
+        it('accepts Horizon trade ids', () => {
+            assert.deepStrictEqual(validate([trade('107449584845914113-0')]).rejected, []);
+        });
+
+        it('refuses other trade ids', () => {
+            const { files, rejected } = validate([trade(107449584845914113), trade('abc')]);
+            assert.deepStrictEqual(files, {});
+            assert.strictEqual(rejected[0].schema, 'cmc-trades');
+            assert.strictEqual(rejected[0].errors.length, 2);
+        });
+
+        it('publishes the Horizon trade id string', function () {
+            this.timeout(20000);
+            fakeUpstream.stubDirectory(directory);
+            return fakeUpstream.start()
+                .then(upstream => generate().finally(() => upstream.stop()))
+                .then((files) => {
+                    const trades = JSON.parse(files['cmc/v1/trades/USD_XLM.json']);
+                    assert.strictEqual(trades[0].trade_id, '107449584845914110-0');
+                    assert.deepStrictEqual(validateFiles({ 'cmc/v1/trades/USD_XLM.json': files['cmc/v1/trades/USD_XLM.json'] }).rejected, []);
+                });
+        });
+    });
+
+    describe('cmc summary', () => {
+        // The USD orderbook has no bids, EUR and BTC have neither orderbook nor trades against XLM
+        const oneSidedBook = (host, path) => (path.indexOf('/order_book') !== -1 && path.indexOf('_asset_code=USD') !== -1 ?
+            { bids: [], asks: [{ price: '10.5000000', amount: '100.0000000' }] } :
+            undefined);
+
+        it('refuses a market without a last price', () => {
+            const { files, rejected } = validateFiles({ 'cmc/v1/summary.json': JSON.stringify([market(0.1), market(null)]) });
+            assert.deepStrictEqual(files, {});
+            assert.strictEqual(rejected[0].schema, 'cmc-summary');
+        });
+
+        it('leaves out the markets without a price and publishes the others', function () {
+            this.timeout(20000);
+            fakeUpstream.stubDirectory(directory);
+            return fakeUpstream.start({ respond: oneSidedBook })
+                .then(upstream => generate().finally(() => upstream.stop()))
+                .then((files) => {
+                    assert.deepStrictEqual(validateFiles(files).rejected, []);
+                    const summary = JSON.parse(files['cmc/v1/summary.json']);
+                    assert.deepStrictEqual(summary.map(({ trading_pairs }) => trading_pairs), ['USD_XLM']);
+                    // The last trade gives the price of the one-sided book
+                    assert.strictEqual(summary[0].last_price, 10);
+                    assert.strictEqual(summary[0].highest_bid, null);
+                    assert.deepStrictEqual(Object.keys(JSON.parse(files['cmc/v1/ticker.json'])), ['USD_XLM']);
+                    assert.deepStrictEqual(JSON.parse(files['coingecko/v1/tickers.json']).map(({ ticker_id }) => ticker_id), ['USD_XLM']);
+                });
+        });
+    });
+
+    describe('refused files', () => {
+        it('keeps the published file and records the refusal in ticker-state.json', () => {
+            const storage = new MemoryStorage();
+            return Promise.all([
+                storage.put(TICKER_STATE_FILE, tickerState()),
+                storage.put('cmc/v1/summary.json', JSON.stringify([market(0.1)])),
+            ])
+                .then(() => quiet(() => putValidFiles(storage, {
+                    'cmc/v1/summary.json': JSON.stringify([market(null)]),
+                    'v1/history/XLM-native/USD-usd.test/3600.json': '{}',
+                })))
+                .then((rejected) => {
+                    assert.deepStrictEqual(rejected.map(({ schema }) => schema).sort(), ['cmc-summary', 'history']);
+                    return Promise.all([storage.get('cmc/v1/summary.json'), storage.get(TICKER_STATE_FILE)]);
+                })
+                .then(([summary, stateJson]) => {
+                    const state = JSON.parse(stateJson);
+                    assert.strictEqual(JSON.parse(summary)[0].last_price, 0.1);
+                    assert.strictEqual(state.validation.rejected.length, 2);
+                    assert.deepStrictEqual(state.degradations.map(({ key }) => key).sort(), ['schema:cmc-summary', 'schema:history']);
+                    assert.strictEqual(state.tickerState, 'Ticker successfully generated');
+                });
+        });
+
+        it('marks a refused ticker', () => {
+            const files = quiet(() => guardTickerSchemas({
+                [TICKER_FILE]: JSON.stringify({ _meta: {} }),
+                [TICKER_STATE_FILE]: tickerState(),
+            }));
+            assert.strictEqual(files[TICKER_FILE], undefined);
+            assert.strictEqual(JSON.parse(files[TICKER_STATE_FILE]).tickerState, TICKER_REFUSED);
+        });
+    });
+});
@@ -0,0 +1,68 @@
+const assert = require('assert');
+const _ = require('lodash');
+const { aggregate, disagree, getSources } = require('../functions/price-sources');
+const envNumber = require('../functions/utils/env-number');
+
+const quote = (source, price) => ({ source, price });
+
+describe('price sources', () => {
+    describe('aggregate', () => {
+        it('uses the median of the quotes within the band', () => {
+            const result = aggregate('USD_BTC', [quote('a', 100), quote('b', 101), quote('c', 150)], 0.05);
+            assert.strictEqual(result.price, 100.5);
+            assert.deepStrictEqual(_.map(result.used, 'source'), ['a', 'b']);
+            assert.deepStrictEqual(_.map(result.rejected, 'source'), ['c']);
+        });
+
+        it('has no price when two quotes are both outside the band around their mean', () => {
+            const result = aggregate('USD_BTC', [quote('a', 100), quote('b', 120)], 0.05);
+            assert.strictEqual(result.price, null);
+            assert.deepStrictEqual(result.used, []);
+            assert.deepStrictEqual(_.map(result.rejected, 'source'), ['a', 'b']);
+            assert.ok(disagree(result));
+        });
+
+        it('has no price when no quote is within the band', () => {
+            const result = aggregate('USD_BTC', [quote('a', 1), quote('b', 1.3), quote('c', 2), quote('d', 3)], 0.05);
+            assert.strictEqual(result.price, null);
+            assert.strictEqual(result.rejected.length, 4);
+        });
+
+        it('has no price without a valid quote', () => {
+            const result = aggregate('USD_BTC', [{ source: 'a', reason: 'Request failed' }], 0.05);
+            assert.strictEqual(result.price, null);
+            assert.ok(!disagree(result));
+        });
+
+        it('only uses quotes at the median with a deviation of 0', () => {
+            const result = aggregate('BTC_XLM', [quote('a', 1), quote('b', 1), quote('c', 1.01)], 0);
+            assert.deepStrictEqual(_.map(result.used, 'source'), ['a', 'b']);
+        });
+    });
+
+    it('has no coindesk source', () => {
+        assert.deepStrictEqual(_.filter(getSources('USD_BTC'), { name: 'coindesk' }), []);
+    });
+
+    describe('envNumber', () => {
+        afterEach(() => {
+            delete process.env.TEST_NUMBER;
+        });
+
+        it('gives the default when unset or empty', () => {
+            assert.strictEqual(envNumber('TEST_NUMBER', 0.2), 0.2);
+            process.env.TEST_NUMBER = '';
+            assert.strictEqual(envNumber('TEST_NUMBER', 0.2), 0.2);
+        });
+
+        it('accepts 0', () => {
+            process.env.TEST_NUMBER = '0';
+            assert.strictEqual(envNumber('TEST_NUMBER', 0.2), 0);
+        });
+
+        it('refuses what is not a number', () => {
+            process.env.TEST_NUMBER = 'lots';
+            assert.throws(() => envNumber('TEST_NUMBER', 0.2), /TEST_NUMBER is not a number/);
+        });
+    });
+});
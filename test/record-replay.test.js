@@ -0,0 +1,78 @@
+const assert = require('assert');
+const _ = require('lodash');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nock = require('nock');
+const fakeUpstream = require('./helpers/fake-upstream');
+const recordReplay = require('../functions/utils/record-replay');
+const directory = require('stellarterm-directory');
+const { tickerGenerator } = require('../functions/ticker');
+const { generate } = require('../functions/cmc-data-generator');
+const removeDir = require('../functions/utils/remove-dir');
+
+// The files of a ticker run and a CMC run
+function runGenerators() {
+    return tickerGenerator({ ignoreLog: true })
+        .then(({ files }) => generate().then(cmcFiles => Object.assign({}, files, cmcFiles)));
+}
+
+describe('record and replay', function () {
+    this.timeout(20000);
+
+    let dir;
+    let env;
+
+    before(() => {
+        fakeUpstream.stubDirectory(directory);
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'record-replay-'));
+        env = Object.assign({}, process.env);
+    });
+
+    after(() => {
+        Object.keys(process.env).forEach((name) => {
+            delete process.env[name];
+        });
+        Object.assign(process.env, env);
+        removeDir(dir);
+    });
+
+    it('replays a recorded run into byte-identical ticker and CMC files', () => {
+        const bundle = path.join(dir, 'run.json');
+        const activityConfig = path.join(dir, 'activity-score.json');
+        let recorded;
+        let recordedCmc;
+        fs.writeFileSync(activityConfig, JSON.stringify({ nativeScore: 42 }));
+        process.env.ACTIVITY_SCORE_CONFIG = activityConfig;
+        // nock overrides http on import, the recorder has to wrap the fake upstream instead
+        nock.restore();
+        return fakeUpstream.start()
+            .then((upstream) => {
+                const session = recordReplay.start({ record: bundle });
+                return runGenerators()
+                    .finally(() => {
+                        session.stop();
+                        return upstream.stop();
+                    });
+            })
+            .then((files) => {
+                recorded = files['v1/ticker.json'];
+                recordedCmc = _.pickBy(files, (contents, filename) => filename.startsWith('cmc/v1/'));
+                assert.ok(recordedCmc['cmc/v1/trades/USD_XLM.json'], Object.keys(recordedCmc).join(', '));
+                assert.ok(recorded, files['v1/ticker-state.json']);
+                assert.strictEqual(JSON.parse(recorded).assets[0].activityScore, 42);
+                assert.strictEqual(JSON.parse(fs.readFileSync(bundle, 'utf8')).env.FIAT_CURRENCIES, 'EUR');
+                // The replay runs on the recorded copy of the config file
+                fs.unlinkSync(activityConfig);
+
+                const session = recordReplay.start({ replay: bundle });
+                return runGenerators()
+                    .finally(() => session.stop());
+            })
+            .then((files) => {
+                assert.strictEqual(JSON.parse(files['v1/ticker-state.json']).tickerState, 'Ticker successfully generated');
+                assert.strictEqual(files['v1/ticker.json'], recorded);
+                assert.deepStrictEqual(_.pickBy(files, (contents, filename) => filename.startsWith('cmc/v1/')), recordedCmc);
+            });
+    });
+});
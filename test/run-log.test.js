@@ -0,0 +1,87 @@
+const assert = require('assert');
+const fakeUpstream = require('./helpers/fake-upstream');
+const directory = require('stellarterm-directory');
+const MemoryStorage = require('../functions/storage/memory-storage');
+const Logger = require('../functions/utils/logger');
+const {
+    archiveRun, archiveKey, ARCHIVE_PREFIX, LOG_FILE,
+} = require('../functions/run-log');
+const { publishTicker, publishHistory } = require('../functions/publish');
+
+// Entries of the runs archived in the storage
+function archivedEntries(storage) {
+    return storage.list(ARCHIVE_PREFIX)
+        .then(keys => Promise.all(keys.map(key => storage.get(key))))
+        .then(runs => [].concat(...runs.map(run => run.split('\n').map(line => JSON.parse(line)))));
+}
+
+// Horizon fails the requests of the EUR/BTC pair
+function failingPair(host, path) {
+    return path.indexOf('_asset_code=EUR') !== -1 && path.indexOf('_asset_code=BTC') !== -1 ? null : undefined;
+}
+
+// console.log and console.error are silenced meanwhile
+function quietly(run) {
+    const { log, error } = console;
+    console.log = () => {};
+    console.error = () => {};
+    return run().finally(() => {
+        Object.assign(console, { log, error });
+    });
+}
+
+describe('run log', function () {
+    this.timeout(20000);
+
+    before(() => fakeUpstream.stubDirectory(directory));
+
+    it('archives the failed pairs of a ticker run', () => {
+        const storage = new MemoryStorage();
+        return fakeUpstream.start({ respond: failingPair })
+            .then(upstream => quietly(() => publishTicker(storage)).finally(() => upstream.stop()))
+            .then(() => archivedEntries(storage))
+            .then((entries) => {
+                assert.ok(entries.some(({ level, message }) => level === 'error' &&
+                    message.indexOf('pair EUR-eur.test/BTC-btc.test failed') !== -1), JSON.stringify(entries));
+            });
+    });
+
+    it('archives the files a history run leaves out, without touching v1/log.txt', () => {
+        const storage = new MemoryStorage();
+        return fakeUpstream.start({ respond: failingPair })
+            .then(upstream => quietly(() => publishHistory(storage)).finally(() => upstream.stop()))
+            .then(() => Promise.all([archivedEntries(storage), storage.get(LOG_FILE)]))
+            .then(([entries, logFile]) => {
+                assert.ok(entries.some(({ level, message }) => level === 'error' &&
+                    message.indexOf('History: failed to update v1/history/EUR-eur.test/BTC-btc.test/1h.json') !== -1),
+                JSON.stringify(entries));
+                assert.strictEqual(logFile, null);
+            });
+    });
+
+    it('archives a failed retention with the run', () => {
+        const storage = new MemoryStorage();
+        storage.list = () => Promise.reject(new Error('list denied'));
+        const logger = new Logger();
+        logger.setConsoleLogState(false);
+        logger.log('Run started');
+        return archiveRun(storage, logger)
+            .then(() => storage.get(archiveKey(logger.getRun())))
+            .then((run) => {
+                assert.ok(run.indexOf('Log archive: retention failed: list denied') !== -1, run);
+            });
+    });
+
+    it('mirrors the errors of a logger to the run logger', () => {
+        const runLogger = new Logger();
+        const logger = new Logger();
+        runLogger.setConsoleLogState(false);
+        logger.setConsoleLogState(false);
+        logger.mirrorErrorsTo(runLogger);
+        logger.log('Detail');
+        logger.error('Unable to triangulate');
+        const run = runLogger.getRun();
+        assert.strictEqual(run.failed, true);
+        assert.deepStrictEqual(run.entries.map(({ message }) => message), ['Unable to triangulate']);
+    });
+});
@@ -0,0 +1,55 @@
+const assert = require('assert');
+const http = require('http');
+const MemoryStorage = require('../functions/storage/memory-storage');
+const { createServer } = require('../functions/server');
+
+describe('server', () => {
+    let server;
+    let port;
+
+    before(() => {
+        const storage = new MemoryStorage();
+        server = createServer(storage);
+        return Promise.all([
+            storage.put('v1/ticker.json', '{"assets":[]}'),
+            storage.put('_internal/notifier-state.json', '{}'),
+            storage.put('networks/testnet/_internal/notifier-state.json', '{}'),
+            storage.put('networks/testnet/v1/ticker.json', '{}'),
+            new Promise(resolve => server.listen(0, '127.0.0.1', resolve)),
+        ]).then(() => {
+            port = server.address().port;
+        });
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    const get = path => new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path, agent: false }, (res) => {
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        }).on('error', reject);
+    });
+
+    it('serves the public files', () => Promise.all([get('/v1/ticker.json'), get('/networks/testnet/v1/ticker.json')])
+        .then((statuses) => {
+            assert.deepStrictEqual(statuses, [200, 200]);
+        }));
+
+    it('answers 400 to a malformed escape', () => get('/%E0%A4%A')
+        .then((status) => {
+            assert.strictEqual(status, 400);
+        }));
+
+    it('hides the internal files of every network', () => Promise.all([
+        get('/_internal/notifier-state.json'),
+        get('/networks/testnet/_internal/notifier-state.json'),
+        get('/networks/testnet/%5Finternal/notifier-state.json'),
+    ]).then((statuses) => {
+        assert.deepStrictEqual(statuses, [404, 404, 404]);
+    }));
+
+    it('refuses paths out of the storage', () => get('/v1/%2E%2E/_internal/notifier-state.json')
+        .then((status) => {
+            assert.strictEqual(status, 404);
+        }));
+});
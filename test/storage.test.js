@@ -0,0 +1,157 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalStorage = require('../functions/storage/local-storage');
+const MemoryStorage = require('../functions/storage/memory-storage');
+const {
+    archiveTicker, compactArchive, snapshotKey, rollupKey, ARCHIVE_PREFIX, MINUTE_DAYS, HOURLY_DAYS, MAX_DELETES_PER_RUN,
+} = require('../functions/ticker-archive');
+const removeDir = require('../functions/utils/remove-dir');
+
+describe('storage', () => {
+    describe('LocalStorage', () => {
+        let root;
+        let storage;
+
+        beforeEach(() => {
+            root = fs.mkdtempSync(path.join(os.tmpdir(), 'local-storage-'));
+            storage = new LocalStorage(root);
+            return Promise.all(['v1/ticker.json', 'v1/archive/2020/01/01/0000.json', 'v1/archive/2020/01/02/0000.json', 'cmc/v1/summary.json']
+                .map(key => storage.put(key, '{}')));
+        });
+
+        afterEach(() => {
+            removeDir(root);
+        });
+
+        it('lists the keys starting with the prefix', () => storage.list('v1/archive/2020/01/0')
+            .then((keys) => {
+                assert.deepStrictEqual(keys, ['v1/archive/2020/01/01/0000.json', 'v1/archive/2020/01/02/0000.json']);
+            }));
+
+        it('only walks the directory of the prefix', () => {
+            const readdirSync = fs.readdirSync;
+            const walked = [];
+            fs.readdirSync = (dir, ...args) => {
+                walked.push(path.relative(root, dir));
+                return readdirSync(dir, ...args);
+            };
+            return storage.list('v1/archive/2020/01/')
+                .finally(() => {
+                    fs.readdirSync = readdirSync;
+                })
+                .then((keys) => {
+                    assert.strictEqual(keys.length, 2);
+                    assert.ok(walked.every(dir => dir.startsWith(path.join('v1', 'archive', '2020', '01'))), walked.join(', '));
+                });
+        });
+
+        it('lists everything without a prefix', () => storage.list('')
+            .then((keys) => {
+                assert.strictEqual(keys.length, 4);
+            }));
+
+        it('only writes a key that is absent with putIfAbsent', () => storage.putIfAbsent('v1/ticker.json', 'new')
+            .then((written) => {
+                assert.strictEqual(written, false);
+                return storage.putIfAbsent('v1/other.json', 'new');
+            })
+            .then((written) => {
+                assert.strictEqual(written, true);
+                return Promise.all([storage.get('v1/ticker.json'), storage.get('v1/other.json')]);
+            })
+            .then((contents) => {
+                assert.deepStrictEqual(contents, ['{}', 'new']);
+            }));
+    });
+
+    describe('ticker archive', () => {
+        const ticker = price => JSON.stringify({
+            _meta: { start: 1577836800 },
+            assets: [{ id: 'XLM-native', price_XLM: 1, price_USD: price }],
+        });
+
+        it('keeps the first snapshot of a minute and counts it once in the rollup', () => {
+            const storage = new MemoryStorage();
+            const time = 1577836800 * 1000;
+            return archiveTicker(storage, ticker(0.1))
+                .then(() => archiveTicker(storage, ticker(0.2)))
+                .then(() => Promise.all([storage.get(snapshotKey(time)), storage.get(rollupKey(time))]))
+                .then(([snapshot, rollup]) => {
+                    assert.strictEqual(snapshot, ticker(0.1));
+                    assert.strictEqual(JSON.parse(rollup).assets['XLM-native'].samples, 1);
+                });
+        });
+
+        describe('compaction', () => {
+            const DAY = 1000 * 60 * 60 * 24;
+            const MINUTE = 1000 * 60;
+            const now = Date.UTC(2020, 5, 15, 12, 0);
+            // Midnight of the day `days` before now
+            const dayStart = days => Date.UTC(2020, 5, 15) - days * DAY;
+
+            // Stores a snapshot at each of the minutes of a day, and the rollup of the day
+            function seedDay(storage, days, minutes) {
+                return Promise.all(minutes.map(minute => storage.put(snapshotKey(dayStart(days) + minute * MINUTE), '{}'))
+                    .concat(storage.put(rollupKey(dayStart(days)), '{}')));
+            }
+
+            function snapshots(storage, days) {
+                return storage.list(snapshotKey(dayStart(days)).slice(0, -9))
+                    .then(keys => keys.map(key => key.slice(-9, -5)));
+            }
+
+            it('keeps the first snapshot of each hour past ARCHIVE_MINUTE_DAYS', () => {
+                const storage = new MemoryStorage();
+                const minutes = [0, 5, 59, 60, 90, 125];
+                return Promise.all([seedDay(storage, MINUTE_DAYS, minutes), seedDay(storage, MINUTE_DAYS + 1, minutes)])
+                    .then(() => compactArchive(storage, now))
+                    .then(() => Promise.all([snapshots(storage, MINUTE_DAYS), snapshots(storage, MINUTE_DAYS + 1)]))
+                    .then(([recent, thinned]) => {
+                        assert.deepStrictEqual(recent, ['0000', '0005', '0059', '0100', '0130', '0205']);
+                        assert.deepStrictEqual(thinned, ['0000', '0100', '0205']);
+                    });
+            });
+
+            it('deletes the snapshots past ARCHIVE_HOURLY_DAYS and keeps the rollups', () => {
+                const storage = new MemoryStorage();
+                return Promise.all([seedDay(storage, HOURLY_DAYS, [0, 60]), seedDay(storage, HOURLY_DAYS + 1, [0, 60])])
+                    .then(() => compactArchive(storage, now))
+                    .then(() => Promise.all([
+                        snapshots(storage, HOURLY_DAYS),
+                        snapshots(storage, HOURLY_DAYS + 1),
+                        storage.get(rollupKey(dayStart(HOURLY_DAYS + 1))),
+                    ]))
+                    .then(([kept, expired, rollup]) => {
+                        assert.deepStrictEqual(kept, ['0000', '0100']);
+                        assert.deepStrictEqual(expired, []);
+                        assert.strictEqual(rollup, '{}');
+                    });
+            });
+
+            it('spreads the compaction of a full day over a few runs', () => {
+                const storage = new MemoryStorage();
+                const count = () => storage.list(ARCHIVE_PREFIX).then(keys => keys.length);
+                const fullDay = Array.from({ length: 24 * 60 }, (value, minute) => minute);
+                let seeded;
+                return seedDay(storage, MINUTE_DAYS + 1, fullDay)
+                    .then(count)
+                    .then((total) => {
+                        seeded = total;
+                    })
+                    .then(() => compactArchive(storage, now))
+                    .then(count)
+                    .then((total) => {
+                        assert.strictEqual(seeded - total, MAX_DELETES_PER_RUN);
+                    })
+                    .then(() => [1, 2, 3, 4].reduce(run => run.then(() => compactArchive(storage, now)), Promise.resolve()))
+                    .then(() => snapshots(storage, MINUTE_DAYS + 1))
+                    .then((kept) => {
+                        assert.deepStrictEqual(kept, fullDay.filter(minute => minute % 60 === 0)
+                            .map(minute => `${String(minute / 60).padStart(2, '0')}00`));
+                    });
+            });
+        });
+    });
+});
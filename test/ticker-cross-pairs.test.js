@@ -0,0 +1,37 @@
+const assert = require('assert');
+const _ = require('lodash');
+const fakeUpstream = require('./helpers/fake-upstream');
+const directory = require('stellarterm-directory');
+const { tickerGenerator } = require('../functions/ticker');
+
+// Runs the ticker with the orderbook of one pair answered last
+function runTicker(slowSelling, slowBuying) {
+    const delay = (host, path) => (path.startsWith('/order_book') &&
+        path.indexOf(`selling_asset_code=${slowSelling}`) !== -1 && path.indexOf(`buying_asset_code=${slowBuying}`) !== -1 ? 200 : 0);
+    return fakeUpstream.start({ delay }).then(upstream => tickerGenerator({ ignoreLog: true })
+        .finally(() => upstream.stop()))
+        .then(({ files }) => {
+            assert.strictEqual(JSON.parse(files['v1/ticker-state.json']).tickerState, 'Ticker successfully generated');
+            return JSON.parse(files['v1/ticker.json']);
+        });
+}
+
+describe('ticker cross pairs', function () {
+    this.timeout(20000);
+
+    before(() => fakeUpstream.stubDirectory(directory));
+
+    it('prices the cross pairs the same whatever order the responses come in', () => runTicker('USD', 'EUR')
+        .then(first => runTicker('EUR', 'BTC').then((second) => {
+            assert.deepStrictEqual(second.pairs, first.pairs);
+            assert.deepStrictEqual(second.assets, first.assets);
+        })));
+
+    it('prices an asset whose only pair has a leg priced by another cross pair', () => runTicker('USD', 'EUR')
+        .then((ticker) => {
+            const btc = _.find(ticker.assets, { code: 'BTC' });
+            assert.strictEqual(btc.topTradePairSlug, 'EUR-eur.test/BTC-btc.test');
+            assert.ok(btc.price_XLM > 0);
+            assert.ok(ticker.pairs['EUR-eur.test/BTC-btc.test'].volume24h_XLM > 0);
+        }));
+});
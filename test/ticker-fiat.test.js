@@ -0,0 +1,62 @@
+const assert = require('assert');
+const _ = require('lodash');
+const fakeUpstream = require('./helpers/fake-upstream');
+const directory = require('stellarterm-directory');
+
+const TICKER_MODULE = require.resolve('../functions/ticker');
+
+// FIAT_CURRENCIES is read when the ticker is required, it is required again with the setting
+function runTicker(fiatCurrencies, upstreamOptions) {
+    const previous = process.env.FIAT_CURRENCIES;
+    const cached = require.cache[TICKER_MODULE];
+    process.env.FIAT_CURRENCIES = fiatCurrencies;
+    delete require.cache[TICKER_MODULE];
+    const { tickerGenerator } = require(TICKER_MODULE); // eslint-disable-line global-require
+    process.env.FIAT_CURRENCIES = previous;
+    require.cache[TICKER_MODULE] = cached;
+    return fakeUpstream.start(upstreamOptions).then(upstream => tickerGenerator({ ignoreLog: true })
+        .finally(() => upstream.stop()))
+        .then(({ files }) => JSON.parse(files['v1/ticker.json']));
+}
+
+describe('ticker fiat prices', function () {
+    this.timeout(20000);
+
+    before(() => fakeUpstream.stubDirectory(directory));
+
+    it('prices the assets in the fiat currencies', () => runTicker('EUR')
+        .then((ticker) => {
+            const usd = _.find(ticker.assets, { code: 'USD' });
+            assert.strictEqual(ticker._meta.externalPrices.EUR_USD, 0.9);
+            assert.strictEqual(usd.price_EUR, _.round(usd.price_USD * 0.9, 7));
+            assert.ok(usd.volume24h_EUR > 0);
+        }));
+
+    it('counts the change of the exchange rate in the 24h change', () => runTicker('EUR')
+        .then((ticker) => {
+            const usd = _.find(ticker.assets, { code: 'USD' });
+            // EUR was 0.882 per USD 24h ago and is 0.9 now
+            assert.strictEqual(ticker._meta.externalPrices.EUR_USD_24hAgo, 0.882);
+            assert.strictEqual(typeof usd.change24h_USD, 'number');
+            assert.strictEqual(usd.change24h_EUR, _.round(100 * ((1 + usd.change24h_USD / 100) * 0.9 / 0.882 - 1), 2));
+            assert.notStrictEqual(usd.change24h_EUR, usd.change24h_USD);
+        }));
+
+    it('has a null 24h change without a rate of 24h ago', () => runTicker('EUR', {
+        respond: host => (host === 'api.frankfurter.app' ? null : undefined),
+    })
+        .then((ticker) => {
+            const usd = _.find(ticker.assets, { code: 'USD' });
+            assert.strictEqual(ticker._meta.externalPrices.EUR_USD_24hAgo, undefined);
+            assert.strictEqual(usd.price_EUR, _.round(usd.price_USD * 0.9, 7));
+            assert.strictEqual(usd.change24h_EUR, null);
+        }));
+
+    it('prices in USD only with an empty FIAT_CURRENCIES', () => runTicker('')
+        .then((ticker) => {
+            assert.strictEqual(ticker._meta.externalPrices.EUR_USD, undefined);
+            ticker.assets.forEach((asset) => {
+                assert.deepStrictEqual(Object.keys(asset).filter(key => /_(EUR|GBP|NGN|BRL)$/.test(key)), []);
+            });
+        }));
+});
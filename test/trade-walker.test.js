@@ -0,0 +1,91 @@
+const assert = require('assert');
+const _ = require('lodash');
+const tradeWalker = require('../functions/utils/tradeWalker');
+
+const prices = trades => _.map(trades, 'price');
+
+describe('tradeWalker', () => {
+    describe('rejectOutliers', () => {
+        it('rejects trades more than 3 times away from the median price', () => {
+            const trades = [1, 1.1, 0.9, 3.5, 0.3, 1.05].map(price => ({ price }));
+            assert.deepStrictEqual(prices(tradeWalker.rejectOutliers(trades)), [1, 1.1, 0.9, 1.05]);
+        });
+
+        it('keeps the band on the median when the newest trade is an outlier', () => {
+            const trades = [50, 1, 1.2, 0.8, 1.1].map(price => ({ price }));
+            assert.deepStrictEqual(prices(tradeWalker.rejectOutliers(trades)), [1, 1.2, 0.8, 1.1]);
+        });
+
+        it('keeps an empty list', () => {
+            assert.deepStrictEqual(tradeWalker.rejectOutliers([]), []);
+        });
+    });
+
+    describe('walkUntil', () => {
+        // A Horizon server with one page of trades, newest first
+        const fakeServer = records => ({
+            trades: () => ({
+                forAssetPair: () => ({
+                    limit: () => ({
+                        order: () => ({
+                            call: () => Promise.resolve({ records, next: () => Promise.resolve({ records: [] }) }),
+                        }),
+                    }),
+                }),
+            }),
+        });
+        const trade = (secondsAgo, baseAmount, counterAmount) => ({
+            ledger_close_time: new Date(Date.now() - secondsAgo * 1000).toISOString(),
+            base_is_seller: false,
+            base_amount: String(baseAmount),
+            counter_amount: String(counterAmount),
+        });
+        const sell = record => Object.assign(record, { base_is_seller: true });
+
+        const walk = records => tradeWalker.walkUntil(fakeServer(records), { code: 'XLM', issuer: null },
+            { code: 'BTC', issuer: 'GAUTUYY2THLF7SGITDFMXJVYH3LHDSMGEAKSBU267M2K7A3W543CKUEF' }, 86400);
+
+        it('resolves with the trades of the period from old to new without outliers', () => walk([
+            trade(10, 1, 100), trade(20, 1, 2), trade(30, 1, 1.5), trade(40, 1, 1), trade(100000, 1, 1),
+        ]).then(({ records, stats }) => {
+            assert.deepStrictEqual(prices(records), [1, 1.5, 2]);
+            assert.strictEqual(stats.outliersRemoved, 1);
+            assert.strictEqual(stats.complete, true);
+        }));
+
+        describe('stats', () => {
+            // Two buys at 2 and a sell at 1
+            const trades = () => [trade(10, 1, 2), sell(trade(20, 3, 3)), trade(30, 2, 4)];
+
+            it('counts the trades', () => walk(trades()).then(({ stats }) => {
+                assert.strictEqual(stats.tradeCount, 3);
+            }));
+
+            it('weighs the average price by volume', () => walk(trades()).then(({ stats }) => {
+                assert.strictEqual(stats.baseVolume, 6);
+                assert.strictEqual(stats.counterVolume, 9);
+                assert.strictEqual(stats.vwap, 1.5);
+            }));
+
+            it('gives the median trade price', () => walk(trades()).then(({ stats }) => {
+                assert.strictEqual(stats.medianPrice, 2);
+            }));
+
+            it('splits the volume between buys and sells', () => walk(trades()).then(({ stats }) => {
+                assert.deepStrictEqual(_.pick(stats, ['buyBaseVolume', 'sellBaseVolume', 'buyCounterVolume', 'sellCounterVolume']), {
+                    buyBaseVolume: 3,
+                    sellBaseVolume: 3,
+                    buyCounterVolume: 6,
+                    sellCounterVolume: 3,
+                });
+            }));
+
+            it('has no prices without trades', () => walk([]).then(({ records, stats }) => {
+                assert.deepStrictEqual(records, []);
+                assert.strictEqual(stats.tradeCount, 0);
+                assert.strictEqual(stats.vwap, null);
+                assert.strictEqual(stats.medianPrice, null);
+            }));
+        });
+    });
+});
@@ -1,4 +1,4 @@
-node localHistory.js
+node cli.js history
 echo '================================================================'
 echo
 echo
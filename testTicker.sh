@@ -1,6 +1,6 @@
 rm output/v1/ticker.json
 source setEnvironment.sh
-node localTicker.js
+node cli.js ticker --pretty
 echo '================================================================'
 echo
 echo